@@ -0,0 +1,103 @@
+const LOCK_RETRY_MS = 50;
+const LOCK_TIMEOUT_MS = 30000;
+// A lock older than this was left behind by a process that died while holding it.
+const LOCK_STALE_MS = 60000;
+
+// Serialises read-modify-write updates of a file shared by concurrent runs, e.g. one baseline file
+// for every package of a monorepo. Updates hold a lock file and replace the file by atomic rename,
+// so readers never see a partially written file and concurrent writers never lose each other's changes.
+class BaselineStore {
+    constructor(fs, path) {
+        this.fs = fs;
+        this.path = path;
+    }
+
+    // `merge` receives the file's current parsed contents (null if it is missing or unreadable)
+    // and returns the document to write.
+    async update(filepath, merge) {
+        return this.withLock(filepath, async () => {
+            const document = await merge(await this.readJson(filepath));
+            await this.writeAtomic(filepath, JSON.stringify(document, null, 2));
+        });
+    }
+
+    async withLock(filepath, fn) {
+        const lockPath = `${filepath}.lock`;
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+        while (!(await this.tryLock(lockPath))) {
+            const staleLock = await this.statStaleLock(lockPath);
+            if (staleLock && await this.removeStaleLock(lockPath, staleLock)) continue;
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for the lock on ${filepath}. If no other compsizer run is writing it, delete ${lockPath}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+        }
+
+        try {
+            return await fn();
+        } finally {
+            await this.fs.rm(lockPath, { force: true });
+        }
+    }
+
+    async tryLock(lockPath) {
+        try {
+            await this.fs.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+            return true;
+        } catch (error) {
+            if (error.code === 'EEXIST') return false;
+            throw error;
+        }
+    }
+
+    // Returns the stats of the lock file if it is stale, otherwise null.
+    async statStaleLock(lockPath) {
+        try {
+            const stats = await this.fs.stat(lockPath);
+            return Date.now() - stats.mtimeMs > LOCK_STALE_MS ? stats : null;
+        } catch (err) {
+            return null; // Released in the meantime; the next attempt will take it
+        }
+    }
+
+    // Several runs may find the same stale lock, and by the time one of them removes it another may have
+    // replaced it with a live lock. Removing a lock file (identified by its inode) requires creating a marker
+    // file for it, which only one run can do, and the lock is only removed if it is still that stale file.
+    // Returns whether the lock was removed.
+    async removeStaleLock(lockPath, { ino }) {
+        const markerPath = `${lockPath}.${ino}.stale`;
+        if (!(await this.tryLock(markerPath))) return false;
+        try {
+            if ((await this.statStaleLock(lockPath))?.ino !== ino) return false;
+            await this.fs.rm(lockPath, { force: true });
+            return true;
+        } finally {
+            await this.fs.rm(markerPath, { force: true });
+        }
+    }
+
+    async writeAtomic(filepath, content) {
+        const tempPath = this.path.join(
+            this.path.dirname(filepath),
+            `.${this.path.basename(filepath)}.${process.pid}.${Date.now()}.tmp`
+        );
+        try {
+            await this.fs.writeFile(tempPath, content);
+            await this.fs.rename(tempPath, filepath);
+        } catch (error) {
+            await this.fs.rm(tempPath, { force: true });
+            throw error;
+        }
+    }
+
+    async readJson(filepath) {
+        try {
+            return JSON.parse(await this.fs.readFile(filepath, 'utf8'));
+        } catch (err) {
+            return null;
+        }
+    }
+}
+
+export default BaselineStore;
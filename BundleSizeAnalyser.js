@@ -1,3 +1,60 @@
+import { createHash } from 'crypto';
+import ConfigResolver from './ConfigResolver.js';
+import ConfigValidator from './ConfigValidator.js';
+import WorkspaceResolver from './WorkspaceResolver.js';
+import SizeHistory from './SizeHistory.js';
+import BaselineStore from './BaselineStore.js';
+import Git from './Git.js';
+import SourceMapAttributor from './SourceMapAttributor.js';
+import ImportGraph from './ImportGraph.js';
+import PackageExports from './PackageExports.js';
+import DuplicateFinder from './DuplicateFinder.js';
+
+const INDEX_JS = '**/*index.js';
+const REACT_JS = '**/*react.js';
+const OTHER_FILES = '**/!(*index.js|*react.js)';
+
+// The original index.js / react.js / other JS breakdown, used when no `groups` are configured.
+// Group ids are the stable baseline keys; labels match the keys older baseline files used.
+const DEFAULT_GROUPS = {
+    index: { label: 'index.js', files: [INDEX_JS] },
+    react: { label: 'index.js + react.js', files: [INDEX_JS, REACT_JS], requires: [REACT_JS] },
+    other: { label: 'index.js + other JS', files: ['**/*', `!${REACT_JS}`], requires: [OTHER_FILES] },
+    all: { label: 'index.js + react.js + other JS', files: ['**/*'], requires: [REACT_JS, OTHER_FILES] },
+};
+
+const DEFAULT_INCLUDE = ['**/*.js'];
+const EXCLUDE_MODES = { merge: 'merge', replace: 'replace' };
+const DEFAULT_TOP_CONTRIBUTORS = 10;
+
+// Files are grouped into asset types by extension; anything unlisted is `other`.
+const ASSET_TYPES = {
+    js: ['.js', '.mjs', '.cjs'],
+    css: ['.css'],
+    wasm: ['.wasm'],
+    font: ['.woff', '.woff2', '.ttf', '.otf', '.eot'],
+    svg: ['.svg'],
+    json: ['.json'],
+};
+
+// Formats that are already compressed are served as-is, so their compressed size is their raw size.
+const DEFAULT_PRECOMPRESSED_EXTENSIONS = ['.woff', '.woff2', '.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.gz', '.br', '.zip'];
+
+// Each measured size, with the config keys that budget it and the key it is stored under in the baseline.
+const METRICS = [
+    { key: 'raw', name: '', label: 'Size', resultKey: 'totalSizeKB', maxKey: 'maxSize', increaseKey: 'warnOnIncrease' },
+    { key: 'gzip', name: 'gzip ', label: 'Gzip size', resultKey: 'totalGzipSizeKB', maxKey: 'maxGzipSize', increaseKey: 'warnOnGzipIncrease' },
+    { key: 'brotli', name: 'Brotli ', label: 'Brotli size', resultKey: 'totalBrotliSizeKB', maxKey: 'maxBrotliSize', increaseKey: 'warnOnBrotliIncrease' },
+];
+
+// Severity of a breached rule, from least to most severe. "off" disables the rule.
+const SEVERITIES = ['off', 'warn', 'error'];
+const DEFAULT_SEVERITY = 'error';
+
+const DEFAULT_RATCHET_HEADROOM = '5%';
+
+const BASELINE_VERSION = 2;
+
 class BundleSizeAnalyser {
     constructor(fs, path, glob, zlib, chalk) {
         this.fs = fs;
@@ -7,7 +64,18 @@ class BundleSizeAnalyser {
         this.chalk = chalk;
         this.results = {};
         this.failures = [];
-        this.hasWarnings = false;
+        this.highestSeverity = null;
+        this.configPath = null;
+        this.configSources = [];
+        this.rootDir = null;
+        this.configHash = null;
+        this.baselineMeta = null;
+        this.config = null;
+        this.baselineSource = null;
+        this.orphans = {};
+        this.duplicates = null;
+        this.baselineRef = null;
+        this.baselineChanges = null;
     }
 
     async calculateGzipSize(fileContent) {
@@ -34,32 +102,274 @@ class BundleSizeAnalyser {
         });
     }
 
+    // Loads the config at configPath, or discovers one from the cwd when no path is given.
     async loadConfig(configPath) {
-        const configContent = await this.fs.readFile(configPath, 'utf8');
-        return JSON.parse(configContent);
+        const resolver = new ConfigResolver(this.fs, this.path);
+        const { config: resolvedConfig, filepath, sources } = await resolver.resolve(configPath);
+        const configDir = this.path.dirname(filepath);
+        const rootDir = typeof resolvedConfig.rootDir === 'string' ? this.path.resolve(configDir, resolvedConfig.rootDir) : configDir;
+        // Validate before workspace expansion reads any package.json. Workspace packages can supply the
+        // components and their distFolderLocation, so required fields are checked once they are expanded.
+        this.validateConfig(resolvedConfig, filepath, { skipRequired: Boolean(resolvedConfig.workspaces) });
+        const workspaceResolver = new WorkspaceResolver(this.fs, this.path, this.glob);
+        const config = await workspaceResolver.expand(resolvedConfig, rootDir);
+        if (config !== resolvedConfig) {
+            this.validateConfig(config, filepath);
+        }
+        this.configPath = filepath;
+        this.configSources = sources;
+        this.rootDir = rootDir;
+        return config;
+    }
+
+    // Paths in the configuration are relative to its `rootDir`, which defaults to the configuration file's directory.
+    // Without a loaded configuration file they are relative to the current directory.
+    resolvePath(filepath) {
+        return this.path.resolve(this.rootDir ?? process.cwd(), filepath);
+    }
+
+    validateConfig(config, configPath, { skipRequired = false } = {}) {
+        const validator = new ConfigValidator();
+        const errors = [
+            ...validator.validate(config).filter(error => !skipRequired || error.message !== 'is required'),
+            ...this.findUncompressedBudgets(config, validator),
+        ];
+        if (errors.length > 0) {
+            throw new Error(validator.formatErrors(errors, configPath));
+        }
+    }
+
+    // Gzip and Brotli sizes are only measured when their compression is enabled; a budget or threshold
+    // on a metric that is not measured would always pass.
+    findUncompressedBudgets(config, validator, value = config, pointer = '') {
+        if (typeof value !== 'object' || value === null) return [];
+        const errors = [];
+        for (const [key, child] of Object.entries(value)) {
+            if (key === 'severity') continue;
+            const childPointer = `${pointer}/${validator.escapePointer(key)}`;
+            const metric = METRICS.find(metric => metric.key !== 'raw' && [metric.maxKey, metric.increaseKey].includes(key));
+            if (metric && config.compression?.[metric.key] !== true) {
+                errors.push({ path: childPointer, message: `requires compression.${metric.key} to be enabled` });
+            } else {
+                errors.push(...this.findUncompressedBudgets(config, validator, child, childPointer));
+            }
+        }
+        return errors;
     }
 
-    async loadBaseline(baselineFile) {
+    async loadBaseline(baselineFile, config, ref = null) {
         if (!baselineFile) return null;
-        const baselinePath = this.path.resolve(process.cwd(), baselineFile);
+        const baselinePath = this.resolvePath(baselineFile);
+        let content;
+        if (ref) {
+            this.baselineRef = ref;
+            content = await this.readBaselineAtRef(baselinePath, ref);
+        } else {
+            try {
+                const baselineContent = await this.fs.readFile(baselinePath, 'utf8');
+                content = JSON.parse(baselineContent);
+            } catch (error) {
+                return {}; // Return an empty object if the baseline file does not exist
+            }
+        }
+        const baseline = this.parseBaseline(content);
+        return config ? this.migrateBaselineKeys(baseline, config) : baseline;
+    }
+
+    // Reads the committed baseline file at a git ref (`git show <ref>:<path>`) instead of the working tree.
+    async readBaselineAtRef(baselinePath, ref) {
+        const cwd = this.path.dirname(baselinePath);
+        const git = new Git(cwd);
+
+        try {
+            await git.run('rev-parse', '--verify', '--quiet', `${ref}^{commit}`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`Cannot read the baseline from git ref "${ref}": could not run git in ${cwd}`);
+            }
+            if (error.code === 1) {
+                throw new Error(`Cannot read the baseline from git ref "${ref}": the ref does not exist`);
+            }
+            throw new Error(`Cannot read the baseline from git ref "${ref}": ${error.stderr?.trim() || error.message}`);
+        }
+
+        let stdout;
+        try {
+            stdout = await git.run('show', `${ref}:./${this.path.basename(baselinePath)}`);
+        } catch (error) {
+            throw new Error(`Baseline file ${baselinePath} does not exist at git ref "${ref}"`);
+        }
         try {
-            const baselineContent = await this.fs.readFile(baselinePath, 'utf8');
-            return JSON.parse(baselineContent);
+            return JSON.parse(stdout);
         } catch (error) {
-            return {}; // Return an empty object if the baseline file does not exist
+            throw new Error(`Could not parse baseline file ${baselinePath} at git ref "${ref}": ${error.message}`);
+        }
+    }
+
+    // Returns the baseline entries keyed by `<component>/<group id>`, each as { raw, gzip, brotli, files }.
+    // Reads the versioned format as well as the legacy flat format ({ key: bytes } or { key: { raw, gzip, brotli } }).
+    parseBaseline(content) {
+        if (content?.version === BASELINE_VERSION && typeof content.entries === 'object') {
+            // Configurations sharing the baseline file each record when, and with what configuration, they wrote it
+            const meta = this.baselineSource && content.configs ? content.configs[this.baselineSource] : content;
+            this.baselineMeta = meta ? { createdAt: meta.createdAt, configHash: meta.configHash } : null;
+            return Object.fromEntries(
+                Object.entries(content.entries).map(([key, entry]) => [key, this.normaliseBaselineEntry(entry)])
+            );
+        }
+        if (typeof content?.version === 'number') {
+            throw new Error(`Unsupported baseline version: ${content.version}`);
+        }
+        return Object.fromEntries(
+            Object.entries(content || {}).map(([key, entry]) => [key, this.normaliseBaselineEntry(entry)])
+        );
+    }
+
+    // Older baseline files were keyed by group label (e.g. `modal/index.js + react.js`);
+    // rename those entries to the stable `<component>/<group id>` keys.
+    migrateBaselineKeys(baseline, config) {
+        const migrated = { ...baseline };
+        for (const [componentName, componentConfig] of Object.entries(config.components || {})) {
+            for (const [groupId, group] of Object.entries(this.resolveGroups(componentConfig, config))) {
+                const legacyKey = `${componentName}/${group.label}`;
+                const key = `${componentName}/${groupId}`;
+                if (group.label && legacyKey !== key && migrated[legacyKey] !== undefined && migrated[key] === undefined) {
+                    migrated[key] = migrated[legacyKey];
+                    delete migrated[legacyKey];
+                }
+            }
+        }
+        return migrated;
+    }
+
+    // Compares the measured keys with the baseline: `added` keys have no baseline entry, `removed` lists the
+    // components that have baseline entries but are no longer configured, and `stale` the remaining baseline
+    // entries of configured components (groups that were renamed, removed or not produced this run).
+    // Entries recorded by other configuration files sharing the baseline file are left out.
+    compareBaselineKeys(baselineSizes, components) {
+        const changes = { added: [], removed: [], stale: [] };
+        if (!baselineSizes || Object.keys(baselineSizes).length === 0) return changes;
+
+        changes.added = Object.keys(this.results).filter(key => baselineSizes[key] === undefined);
+
+        const removed = {};
+        for (const [key, entry] of Object.entries(baselineSizes)) {
+            if (this.results[key] || !this.isOwnBaselineEntry(entry)) continue;
+            const componentName = key.slice(0, key.lastIndexOf('/'));
+            if (components[componentName]) {
+                changes.stale.push(key);
+            } else {
+                (removed[componentName] ??= []).push(key);
+            }
+        }
+        changes.removed = Object.entries(removed).map(([component, keys]) => ({ component, keys }));
+        return changes;
+    }
+
+    // Baseline entries record the configuration file that measured them (relative to the baseline file),
+    // so that runs of several configurations can share one baseline file.
+    getBaselineSource(baselinePath) {
+        if (!this.configPath) return null;
+        return this.path.relative(this.path.dirname(baselinePath), this.configPath).split(this.path.sep).join('/');
+    }
+
+    isOwnBaselineEntry(entry) {
+        return !this.baselineSource || !entry?.config || entry.config === this.baselineSource;
+    }
+
+    resolveGroups(componentConfig, config) {
+        return componentConfig.groups ?? config.groups ?? DEFAULT_GROUPS;
+    }
+
+    // One group per export in the package's `exports` map, with the budgets set for its subpath.
+    // Exports whose target is not among the component's included files (e.g. "./package.json") are skipped.
+    async resolveExportGroups(exportsOption, distFolderPath, files, componentName) {
+        const options = exportsOption === true ? {} : exportsOption;
+        const packageExports = new PackageExports(this.fs, this.path, this.glob);
+        const packageJsonPath = options.packageJson
+            ? this.resolvePath(options.packageJson)
+            : await packageExports.findPackageJson(distFolderPath);
+
+        const included = new Set(files);
+        const budgets = options.budgets ?? {};
+        const groups = {};
+        for (const { subpath, key, file } of await packageExports.resolve(packageJsonPath, options.conditions)) {
+            if (!included.has(file)) continue;
+            const groupId = this.exportGroupId(subpath);
+            const existing = groups[groupId];
+            // An alias of an earlier export, such as "./index" next to ".", is measured once, under the earlier subpath
+            if (existing?.entryFiles[0] === file && budgets[subpath] === undefined) continue;
+            if (existing) {
+                throw new Error(`Exports "${existing.exportSubpath}" and "${subpath}" in ${packageJsonPath} both map to group id "${groupId}" for component: ${componentName}`);
+            }
+
+            // A budget set for the exact subpath takes precedence over one set for its pattern ("./icons/*")
+            const budgetKey = [subpath, key].find(candidate => budgets[candidate] !== undefined);
+            groups[groupId] = {
+                ...budgets[budgetKey],
+                label: `exports["${subpath}"]`,
+                exportSubpath: subpath,
+                exportBudgetKey: budgetKey,
+                entryFiles: [file],
+            };
         }
+
+        if (Object.keys(groups).length === 0) {
+            throw new Error(`No exports in ${packageJsonPath} resolve to files in ${distFolderPath} for component: ${componentName}`);
+        }
+        return groups;
+    }
+
+    // "." is the package's main export; other subpaths lose their "./" and use "-" for "/", as group ids cannot contain "/"
+    exportGroupId(subpath) {
+        return subpath === '.' ? 'index' : subpath.replace(/^\.\//, '').replace(/\//g, '-');
+    }
+
+    // The `budgets` key that applies to an export group known only by its id, as in size reports:
+    // its own subpath, else the matching pattern with the longest part before its "*".
+    findExportBudgetKey(keys, groupId) {
+        const exact = keys.find(key => !key.includes('*') && this.exportGroupId(key) === groupId);
+        if (exact) return exact;
+        return keys
+            .filter(key => {
+                const [prefix, suffix] = this.exportGroupId(key).split('*');
+                return key.includes('*') && groupId.length > prefix.length + suffix.length && groupId.startsWith(prefix) && groupId.endsWith(suffix);
+            })
+            .sort((a, b) => b.indexOf('*') - a.indexOf('*'))[0];
+    }
+
+    // Include and exclude patterns are relative to the dist folder. A `!` pattern removes files from the list it
+    // appears in, so in `exclude` it re-includes files that another exclude pattern matched.
+    async collectFiles(distFolderPath, includePatterns, excludePatterns) {
+        const [includeFiles, excludeFiles] = await Promise.all(
+            [includePatterns, excludePatterns].map(patterns => this.globPatterns(patterns, distFolderPath))
+        );
+        const excludeSet = new Set(excludeFiles);
+        return includeFiles.filter(file => !excludeSet.has(file));
     }
 
-    async collectFiles(includePatterns, excludePatterns) {
-        const [includeFiles, excludeFiles] = await Promise.all([
-            Promise.all(includePatterns.map(pattern => this.glob(pattern))),
-            Promise.all(excludePatterns.map(pattern => this.glob(pattern))),
-        ]);
+    // Returns the absolute paths of the files matching any pattern that are not matched by a `!` pattern.
+    async globPatterns(patterns, cwd) {
+        const positive = patterns.filter(pattern => !pattern.startsWith('!'));
+        const negative = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1));
+        if (positive.length === 0) return [];
 
-        const allFiles = new Set(includeFiles.flat());
-        const excludeSet = new Set(excludeFiles.flat());
+        const [included, excluded] = await Promise.all([positive, negative].map(list =>
+            list.length > 0 ? this.glob(list, { cwd, absolute: true, nodir: true }) : []
+        ));
+        const excludedSet = new Set(excluded);
+        return [...new Set(included)].filter(file => !excludedSet.has(file)).sort();
+    }
+
+    // A component's `exclude` replaces the top-level list unless `excludeMode` (on the component or at the top level) is "merge".
+    resolveExclude(componentConfig, config) {
+        const shared = [].concat(config.exclude ?? []);
+        if (componentConfig.exclude === undefined) return shared;
 
-        return [...allFiles].filter(file => !excludeSet.has(file));
+        const excludeMode = componentConfig.excludeMode ?? config.excludeMode ?? EXCLUDE_MODES.replace;
+        return excludeMode === EXCLUDE_MODES.merge
+            ? [...new Set([...shared, ...[].concat(componentConfig.exclude)])]
+            : [].concat(componentConfig.exclude);
     }
 
     async batchReadFiles(filePaths) {
@@ -67,23 +377,30 @@ class BundleSizeAnalyser {
         return fileContents;
     }
 
-    async calculateSizes(filePaths, compression) {
+    // `baseDir` is the directory per-file sizes are keyed relative to (the dist folder).
+    async calculateSizes(filePaths, compression, baseDir = process.cwd()) {
         const fileContents = await this.batchReadFiles(filePaths);
+        const precompressed = compression.skipExtensions ?? DEFAULT_PRECOMPRESSED_EXTENSIONS;
 
         const sizePromises = fileContents.map(async (fileContent, index) => {
             const fileSize = fileContent.length;
+            const extension = this.path.extname(filePaths[index]).toLowerCase();
+            const skipCompression = precompressed.includes(extension);
             let gzipSize = 0;
             let brotliSize = 0;
 
             if (compression.gzip) {
-                gzipSize = await this.calculateGzipSize(fileContent);
+                gzipSize = skipCompression ? fileSize : await this.calculateGzipSize(fileContent);
             }
 
             if (compression.brotli) {
-                brotliSize = await this.calculateBrotliSize(fileContent);
+                brotliSize = skipCompression ? fileSize : await this.calculateBrotliSize(fileContent);
             }
 
             return {
+                filePath: this.path.relative(baseDir, filePaths[index]).split(this.path.sep).join('/'),
+                hash: createHash('sha256').update(fileContent).digest('hex'),
+                assetType: this.getAssetType(extension),
                 fileSize,
                 gzipSize,
                 brotliSize
@@ -96,67 +413,218 @@ class BundleSizeAnalyser {
         const totalGzipSize = results.reduce((acc, result) => acc + result.gzipSize, 0);
         const totalBrotliSize = results.reduce((acc, result) => acc + result.brotliSize, 0);
 
+        const assetTypes = {};
+        for (const result of results) {
+            const subtotal = assetTypes[result.assetType] ??= { totalSizeKB: 0, totalGzipSizeKB: 0, totalBrotliSizeKB: 0 };
+            subtotal.totalSizeKB += result.fileSize / 1024;
+            subtotal.totalGzipSizeKB += result.gzipSize / 1024;
+            subtotal.totalBrotliSizeKB += result.brotliSize / 1024;
+        }
+
+        const files = {};
+        for (const result of results) {
+            files[result.filePath] = { raw: result.fileSize, gzip: result.gzipSize, brotli: result.brotliSize, hash: result.hash };
+        }
+
         return {
             totalSizeKB: totalSize / 1024,
             totalGzipSizeKB: totalGzipSize / 1024,
             totalBrotliSizeKB: totalBrotliSize / 1024,
+            assetTypes,
+            files,
         };
     }
 
+    getAssetType(extension) {
+        const match = Object.entries(ASSET_TYPES).find(([, extensions]) => extensions.includes(extension));
+        return match ? match[0] : 'other';
+    }
+
     compareSizes(result, componentName, baselineSizes, config) {
-        const { maxSize, warnOnIncrease = null } = config;
-        const maxSizeValue = this.parseSize(maxSize);
-
-        const exceedsMaxSize = maxSizeValue !== null && result.totalSizeKB * 1024 > maxSizeValue;
-        if (exceedsMaxSize) {
-            this.hasWarnings = true;
-            this.failures.push({
-                component: componentName,
-                expectedThreshold: maxSize,
-                actualSizeKB: result.totalSizeKB.toFixed(2)
-            });
+        const previous = baselineSizes ? this.normaliseBaselineEntry(baselineSizes[componentName]) : null;
+        const fileChanges = previous?.files && result.files ? this.diffFiles(result.files, previous.files) : null;
+        const metrics = {};
+
+        for (const metric of METRICS) {
+            const currentSize = result[metric.resultKey] * 1024;
+            const maxSize = config[metric.maxKey] ?? null;
+            const warnOnIncrease = config[metric.increaseKey] ?? null;
+            const maxSeverity = config.severity?.[metric.maxKey] ?? DEFAULT_SEVERITY;
+            const increaseSeverity = config.severity?.[metric.increaseKey] ?? DEFAULT_SEVERITY;
+            const maxSizeValue = maxSeverity === 'off' ? null : this.parseSize(maxSize);
+
+            const exceedsMaxSize = maxSizeValue !== null && currentSize > maxSizeValue;
+            if (exceedsMaxSize) {
+                this.recordFailure({
+                    component: componentName,
+                    metric: metric.key,
+                    rule: metric.maxKey,
+                    expectedThreshold: maxSize,
+                    actualSizeKB: result[metric.resultKey].toFixed(2)
+                }, maxSeverity);
+            }
+
+            let sizeIncrease = 0;
+            let percentageIncrease = 'N/A';
+            let exceedsWarnIncrease = false;
+            let trippedBy = [];
+
+            // Only perform baseline comparisons if baselineSizes is provided
+            if (previous) {
+                const previousSize = previous[metric.key] || 0;
+                sizeIncrease = currentSize - previousSize;
+                percentageIncrease = previousSize
+                    ? ((sizeIncrease / previousSize) * 100).toFixed(2)
+                    : 'N/A';
+
+                if (previousSize && warnOnIncrease && increaseSeverity !== 'off') {
+                    trippedBy = this.evaluateIncrease(this.parseIncreaseThreshold(warnOnIncrease), sizeIncrease, parseFloat(percentageIncrease));
+                    if (trippedBy.length > 0) {
+                        exceedsWarnIncrease = true;
+                        this.recordFailure({
+                            component: componentName,
+                            metric: metric.key,
+                            rule: metric.increaseKey,
+                            expectedThreshold: warnOnIncrease,
+                            trippedBy,
+                            sizeIncreaseKB: (sizeIncrease / 1024).toFixed(2),
+                            percentageIncrease,
+                            fileChanges: fileChanges && this.sortFileChanges(fileChanges, metric.key)
+                        }, increaseSeverity);
+                    }
+                }
+            }
+
+            metrics[metric.key] = {
+                exceedsMaxSize,
+                maxSize: maxSeverity === 'off' ? null : maxSize,
+                maxSeverity,
+                increaseSeverity,
+                sizeIncreaseKB: sizeIncrease / 1024,
+                percentageIncrease,
+                exceedsWarnIncrease,
+                trippedBy,
+                warnOnIncrease: previous ? warnOnIncrease : null,
+            };
         }
 
-        let sizeIncrease = 0;
-        let percentageIncrease = 'N/A';
-        let exceedsWarnIncrease = false;
-
-        // Only perform baseline comparisons if baselineSizes is provided
-        if (baselineSizes) {
-            const previousSize = baselineSizes[componentName] || 0;
-            sizeIncrease = result.totalSizeKB * 1024 - previousSize;
-            percentageIncrease = previousSize
-                ? ((sizeIncrease / previousSize) * 100).toFixed(2)
-                : 'N/A';
-
-            if (previousSize && warnOnIncrease) {
-                const warnIncreaseValue = this.parsePercentage(warnOnIncrease);
-                if (
-                    warnIncreaseValue !== null &&
-                    percentageIncrease !== 'N/A' &&
-                    percentageIncrease > warnIncreaseValue
-                ) {
-                    exceedsWarnIncrease = true;
-                    this.hasWarnings = true;
+        const assetTypeBudgets = [];
+        for (const [assetType, budgets] of Object.entries(config.assetTypes || {})) {
+            const subtotal = result.assetTypes?.[assetType];
+            for (const metric of METRICS) {
+                const maxSize = budgets[metric.maxKey];
+                const severity = config.severity?.[metric.maxKey] ?? DEFAULT_SEVERITY;
+                const maxSizeValue = this.parseSize(maxSize);
+                if (maxSizeValue === null || severity === 'off') continue;
+
+                const sizeKB = subtotal ? subtotal[metric.resultKey] : 0;
+                const exceedsMaxSize = sizeKB * 1024 > maxSizeValue;
+                if (exceedsMaxSize) {
+                    this.recordFailure({
+                        component: componentName,
+                        assetType,
+                        metric: metric.key,
+                        rule: metric.maxKey,
+                        expectedThreshold: maxSize,
+                        actualSizeKB: sizeKB.toFixed(2)
+                    }, severity);
                 }
+                assetTypeBudgets.push({ assetType, metric: metric.key, maxSize, sizeKB, exceedsMaxSize, severity });
             }
         }
 
+        // Explain which files changed whenever an increase threshold was exceeded
+        const trippedMetric = METRICS.find(metric => metrics[metric.key].exceedsWarnIncrease);
+
         return {
             ...result,
-            exceedsMaxSize,
-            maxSize,
-            sizeIncreaseKB: sizeIncrease / 1024,
-            percentageIncrease,
-            exceedsWarnIncrease,
-            warnOnIncrease: baselineSizes ? warnOnIncrease : null,
+            metrics,
+            assetTypeBudgets,
+            fileChanges: trippedMetric && fileChanges ? this.sortFileChanges(fileChanges, trippedMetric.key) : null,
+            fileChangesUnavailable: Boolean(trippedMetric) && !fileChanges,
         };
     }
 
+    // Lists files added, removed or changed (by content hash) since the baseline, with byte deltas per metric.
+    diffFiles(currentFiles, baselineFiles) {
+        const changes = [];
+        const delta = (current, previous) => Object.fromEntries(
+            METRICS.map(metric => [metric.key, (current?.[metric.key] || 0) - (previous?.[metric.key] || 0)])
+        );
+
+        for (const [file, current] of Object.entries(currentFiles)) {
+            const previous = baselineFiles[file];
+            if (!previous) {
+                changes.push({ file, status: 'added', ...delta(current, null) });
+            } else if (previous.hash !== current.hash || previous.raw !== current.raw) {
+                changes.push({ file, status: 'changed', ...delta(current, previous) });
+            }
+        }
+        for (const [file, previous] of Object.entries(baselineFiles)) {
+            if (!currentFiles[file]) {
+                changes.push({ file, status: 'removed', ...delta(null, previous) });
+            }
+        }
+        return changes;
+    }
+
+    // Largest absolute change in the given metric first, then by raw change and file name for a stable order.
+    sortFileChanges(changes, metricKey) {
+        return [...changes].sort((a, b) =>
+            Math.abs(b[metricKey]) - Math.abs(a[metricKey]) ||
+            Math.abs(b.raw) - Math.abs(a.raw) ||
+            a.file.localeCompare(b.file)
+        );
+    }
+
+    formatDelta(bytes) {
+        return `${bytes >= 0 ? '+' : '-'}${(Math.abs(bytes) / 1024).toFixed(2)} KB`;
+    }
+
+    // "gzip 1.20 KB, Brotli 0.90 KB" with each size passed through `format`; sizes that were not measured are left out.
+    formatCompressed(gzip, brotli, format) {
+        return [gzip ? `gzip ${format(gzip)}` : null, brotli ? `Brotli ${format(brotli)}` : null]
+            .filter(Boolean)
+            .join(', ');
+    }
+
+    recordFailure(failure, severity) {
+        this.failures.push({ ...failure, severity });
+        if (SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(this.highestSeverity)) {
+            this.highestSeverity = severity;
+        }
+    }
+
+    severityColour(severity) {
+        return severity === 'warn' ? this.chalk.yellow : this.chalk.red;
+    }
+
+    // Legacy baseline entries are a raw byte count; later ones are { raw, gzip, brotli } in bytes, optionally with `files`.
+    normaliseBaselineEntry(entry) {
+        if (typeof entry === 'number') return { raw: entry, files: null };
+        if (typeof entry === 'object' && entry !== null) return { files: null, ...entry };
+        return {};
+    }
+
     outputResults() {
         console.log(this.chalk.bold('\Component Bundle Sizes Report\n'));
+        if (this.configPath) {
+            const presets = this.configSources.filter(source => source !== this.configPath);
+            const extendsNote = presets.length > 0 ? ` (extends ${presets.join(', ')})` : '';
+            console.log(this.chalk.gray(`Config: ${this.configPath}${extendsNote}\n`));
+        }
+        if (this.baselineMeta || this.baselineRef) {
+            const details = [
+                this.baselineRef ? `from git ref ${this.baselineRef}` : null,
+                this.baselineMeta ? `recorded ${this.baselineMeta.createdAt}` : null,
+            ].filter(Boolean);
+            const configNote = this.baselineMeta?.configHash && this.baselineMeta.configHash !== this.configHash
+                ? ' (recorded with a different configuration)'
+                : '';
+            console.log(this.chalk.gray(`Baseline: ${details.join(', ')}${configNote}\n`));
+        }
         for (const [componentName, result] of Object.entries(this.results)) {
-            console.log(this.chalk.blue.bold(`Component: ${componentName}`));
+            console.log(this.chalk.blue.bold(`Component: ${result.label ?? componentName}`));
             console.log(`Total Size: ${result.totalSizeKB.toFixed(2)} KB`);
             if (result.totalGzipSizeKB) {
                 console.log(`Gzip Size: ${result.totalGzipSizeKB.toFixed(2)} KB`);
@@ -165,57 +633,353 @@ class BundleSizeAnalyser {
                 console.log(`Brotli Size: ${result.totalBrotliSizeKB.toFixed(2)} KB`);
             }
 
-            if (result.exceedsMaxSize) {
+            const assetTypes = Object.entries(result.assetTypes || {});
+            if (assetTypes.length > 1 || assetTypes.some(([assetType]) => assetType !== 'js')) {
+                for (const [assetType, subtotal] of assetTypes) {
+                    const compressed = this.formatCompressed(subtotal.totalGzipSizeKB, subtotal.totalBrotliSizeKB, kb => `${kb.toFixed(2)} KB`);
+                    console.log(`  ${assetType}: ${subtotal.totalSizeKB.toFixed(2)} KB${compressed ? ` (${compressed})` : ''}`);
+                }
+            }
+
+            this.outputMaxSizeChecks(result);
+
+            const isNew = this.baselineChanges?.added.includes(componentName);
+            if (isNew) {
+                console.log('New since the baseline was recorded; no size to compare against.');
+            }
+
+            for (const metric of METRICS) {
+                const comparison = result.metrics[metric.key];
+                // The raw size comparison is always shown; compressed comparisons only when configured
+                if (isNew || (metric.key !== 'raw' && !comparison.warnOnIncrease)) continue;
+
+                if (comparison.percentageIncrease !== 'N/A') {
+                    // Show the byte delta whenever a byte threshold is involved
+                    const threshold = comparison.warnOnIncrease && this.parseIncreaseThreshold(comparison.warnOnIncrease);
+                    const delta = threshold && threshold.bytes !== null ? ` (${comparison.sizeIncreaseKB.toFixed(2)} KB)` : '';
+                    if (comparison.exceedsWarnIncrease) {
+                        console.log(
+                            this.severityColour(comparison.increaseSeverity)(
+                                `${metric.label} increased by ${comparison.percentageIncrease}%${delta} since last recorded size, exceeding threshold of ${this.describeIncreaseThreshold(comparison.warnOnIncrease, comparison.trippedBy)}`
+                            )
+                        );
+                    } else {
+                        console.log(
+                            this.chalk.green(
+                                `${metric.label} increase of ${comparison.percentageIncrease}%${delta} since last recorded size is within threshold of ${this.describeIncreaseThreshold(comparison.warnOnIncrease)}`
+                            )
+                        );
+                    }
+                } else {
+                    console.log(`No baseline ${metric.name}size to compare against.`);
+                }
+            }
+
+            if (result.fileChanges) {
+                console.log('Changes since baseline:');
+                this.outputFileChanges(result.fileChanges);
+                if (result.fileChanges.length === 0) {
+                    console.log('  No file changes');
+                }
+            } else if (result.fileChangesUnavailable) {
+                console.log(this.chalk.gray('No per-file sizes in the baseline to explain the increase.'));
+            }
+
+            if (result.contributors) {
+                this.outputContributors(result);
+            }
+
+            if (result.lazy && Object.keys(result.lazy.files).length > 0) {
+                this.outputLazy(result.lazy);
+            }
+
+            console.log('');
+        }
+
+        this.outputOrphans();
+        this.outputDuplicates();
+        this.outputBaselineChanges();
+    }
+
+    outputMaxSizeChecks(result) {
+        for (const metric of METRICS) {
+            const comparison = result.metrics[metric.key];
+            if (!comparison.maxSize) continue;
+
+            if (comparison.exceedsMaxSize) {
                 console.log(
-                    this.chalk.red(
-                        `Exceeded max size of ${result.maxSize} by ${(
-                            result.totalSizeKB -
-                            this.parseSize(result.maxSize) / 1024
+                    this.severityColour(comparison.maxSeverity)(
+                        `Exceeded max ${metric.name}size of ${comparison.maxSize} by ${(
+                            result[metric.resultKey] -
+                            this.parseSize(comparison.maxSize) / 1024
                         ).toFixed(2)} KB`
                     )
                 );
             } else {
-                console.log(this.chalk.green(`Within max size limit of ${result.maxSize}`));
+                console.log(this.chalk.green(`Within max ${metric.name}size limit of ${comparison.maxSize}`));
             }
+        }
 
-            if (result.percentageIncrease !== 'N/A') {
-                if (result.exceedsWarnIncrease) {
-                    console.log(
-                        this.chalk.red(
-                            `Size increased by ${result.percentageIncrease}% since last recorded size, exceeding threshold of ${result.warnOnIncrease}`
-                        )
-                    );
-                } else {
-                    console.log(
-                        this.chalk.green(
-                            `Size increase of ${result.percentageIncrease}% since last recorded size is within threshold of ${result.warnOnIncrease}`
-                        )
-                    );
-                }
+        for (const budget of result.assetTypeBudgets || []) {
+            const metric = METRICS.find(({ key }) => key === budget.metric);
+            if (budget.exceedsMaxSize) {
+                console.log(
+                    this.severityColour(budget.severity)(
+                        `${budget.assetType}: Exceeded max ${metric.name}size of ${budget.maxSize} by ${(
+                            budget.sizeKB -
+                            this.parseSize(budget.maxSize) / 1024
+                        ).toFixed(2)} KB`
+                    )
+                );
             } else {
-                console.log('No baseline size to compare against.');
+                console.log(this.chalk.green(`${budget.assetType}: Within max ${metric.name}size limit of ${budget.maxSize}`));
             }
+        }
+    }
 
+    outputFileChanges(changes) {
+        const symbols = { added: '+', removed: '-', changed: '~' };
+        for (const change of changes) {
+            const compressed = this.formatCompressed(change.gzip, change.brotli, bytes => this.formatDelta(bytes));
+            console.log(`  ${symbols[change.status]} ${change.file} ${this.formatDelta(change.raw)}${compressed ? ` (${compressed})` : ''}`);
+        }
+    }
+
+    outputContributors(result) {
+        const top = this.config?.sourceMaps?.top ?? DEFAULT_TOP_CONTRIBUTORS;
+        const totalSize = result.totalSizeKB * 1024;
+        console.log('Top contributors:');
+        for (const contributor of result.contributors.slice(0, top)) {
+            const share = totalSize ? ((contributor.raw / totalSize) * 100).toFixed(1) : '0.0';
+            const compressed = this.formatCompressed(contributor.gzip, contributor.brotli, bytes => `~${(bytes / 1024).toFixed(2)} KB`);
+            const name = contributor.type === 'file' ? `${contributor.name} (no source map)` : contributor.name;
+            console.log(`  ${name} ${(contributor.raw / 1024).toFixed(2)} KB (${share}%${compressed ? `, ${compressed}` : ''})`);
+        }
+        if (result.contributors.length > top) {
+            console.log(this.chalk.gray(`  ...and ${result.contributors.length - top} more`));
+        }
+    }
+
+    outputLazy(lazy) {
+        const compressed = this.formatCompressed(lazy.totalGzipSizeKB, lazy.totalBrotliSizeKB, kb => `${kb.toFixed(2)} KB`);
+        console.log(`Lazy (dynamic import): ${lazy.totalSizeKB.toFixed(2)} KB${compressed ? ` (${compressed})` : ''}`);
+        const files = Object.entries(lazy.files).sort(([a, first], [b, second]) => second.raw - first.raw || a.localeCompare(b));
+        for (const [file, sizes] of files) {
+            console.log(`  ${file} ${(sizes.raw / 1024).toFixed(2)} KB`);
+        }
+    }
+
+    outputOrphans() {
+        const components = Object.entries(this.orphans);
+        if (components.length === 0) return;
+
+        console.log(this.chalk.bold('Orphaned files (not imported from any entry point, so not measured):'));
+        for (const [componentName, files] of components) {
+            console.log(this.chalk.yellow(`  ${componentName}: ${files.join(', ')}`));
+        }
+        console.log('');
+    }
+
+    outputDuplicates() {
+        if (!this.duplicates) return;
+        const { duplicates, duplicatedBytes, savingBytes } = this.duplicates;
+        if (duplicates.length === 0) {
+            console.log(this.chalk.gray('No code is duplicated across components.'));
             console.log('');
+            return;
+        }
+
+        console.log(this.chalk.bold('Duplicated across components:'));
+        for (const duplicate of duplicates) {
+            const name = duplicate.type === 'function' ? `function ${duplicate.name}` : duplicate.name;
+            const copies = duplicate.copies.map(copy => `${copy.components.join(', ')}: ${copy.file}`).join('; ');
+            console.log(this.chalk.yellow(`  ${name} ${(duplicate.bytes / 1024).toFixed(2)} KB in ${duplicate.copies.length} copies (${copies})`));
+        }
+        console.log(`Duplicated: ${(duplicatedBytes / 1024).toFixed(2)} KB. Extracting it to shared chunks could save ${(savingBytes / 1024).toFixed(2)} KB.`);
+        console.log('');
+    }
+
+    outputBaselineChanges() {
+        const { added = [], removed = [], stale = [] } = this.baselineChanges || {};
+        if (added.length + removed.length + stale.length === 0) return;
+
+        console.log(this.chalk.bold('Baseline changes:'));
+        for (const key of added) {
+            console.log(this.chalk.green(`  New: ${key}`));
+        }
+        for (const { component, keys, severity } of removed) {
+            const colour = severity ? this.severityColour(severity) : this.chalk.yellow;
+            console.log(colour(`  Removed: ${component} (no longer configured; baseline has ${keys.join(', ')})`));
+        }
+        for (const key of stale) {
+            console.log(this.chalk.gray(`  Stale: ${key} (not measured this run)`));
+        }
+        if (removed.length + stale.length > 0) {
+            console.log(this.chalk.gray('Run with --prune-baseline to remove entries that are no longer measured.'));
         }
+        console.log('');
     }
 
     async outputFailureReport() {
         if (this.failures.length > 0) {
-            const reportPath = this.path.resolve(process.cwd(), 'compsizer-failure-report.json');
+            const reportPath = this.resolvePath('compsizer-failure-report.json');
             await this.fs.writeFile(reportPath, JSON.stringify(this.failures, null, 2));
             console.error(this.chalk.red(`Failure report generated at ${reportPath}`));
         }
     }
 
-    async updateBaseline(baselineFile) {
-        if (!baselineFile) return;
-        const baselinePath = this.path.resolve(process.cwd(), baselineFile);
-        const newBaselineSizes = {};
-        for (const [componentName, result] of Object.entries(this.results)) {
-            newBaselineSizes[componentName] = result.totalSizeKB * 1024;
+    // The baseline is written when asked to (--update-baseline), or by default outside CI.
+    // A run that failed with an "error" severity never writes it unless forced.
+    async maybeUpdateBaseline(baselineFile, { updateBaseline, force = false, pruneBaseline = false } = {}) {
+        if (!baselineFile) {
+            if (updateBaseline || pruneBaseline) {
+                throw new Error('Cannot update the baseline: no baselineFile is configured');
+            }
+            return;
+        }
+
+        // --prune-baseline implies --update-baseline
+        const explicit = updateBaseline === true || pruneBaseline;
+        if (!(updateBaseline ?? (pruneBaseline || !this.isCI()))) return;
+
+        if (this.highestSeverity === 'error' && !force) {
+            const message = 'Baseline not updated because size thresholds were exceeded. Pass --force to update it anyway.';
+            if (explicit) {
+                console.error(this.chalk.red(message));
+            } else {
+                console.log(this.chalk.yellow(message));
+            }
+            return;
+        }
+
+        const pruned = await this.updateBaseline(baselineFile, { prune: pruneBaseline });
+        const pruneNote = pruned.length > 0 ? ` (pruned ${pruned.join(', ')})` : '';
+        console.log(this.chalk.gray(`Baseline updated: ${this.resolvePath(baselineFile)}${pruneNote}`));
+    }
+
+    isCI() {
+        const { CI } = process.env;
+        return Boolean(CI) && CI !== 'false' && CI !== '0';
+    }
+
+    // Entries that were not measured this run are kept unless `prune` is set; returns the pruned keys.
+    // Merges this run's entries into the baseline file as it is at the time of writing, so concurrent runs
+    // sharing the file keep each other's entries. Pruning only removes entries recorded by this configuration.
+    async updateBaseline(baselineFile, { prune = false } = {}) {
+        if (!baselineFile) return [];
+        const baselinePath = this.resolvePath(baselineFile);
+        const source = this.getBaselineSource(baselinePath);
+        const pruned = [];
+
+        await new BaselineStore(this.fs, this.path).update(baselinePath, current => {
+            const existing = this.readCurrentBaseline(current);
+            const entries = {};
+            for (const [key, entry] of Object.entries(this.measuredEntries())) {
+                entries[key] = source ? { config: source, ...entry } : entry;
+            }
+            for (const [key, entry] of Object.entries(existing)) {
+                if (entries[key]) continue;
+                if (prune && this.isOwnBaselineEntry(entry)) {
+                    pruned.push(key);
+                } else {
+                    entries[key] = entry;
+                }
+            }
+            const document = this.createSizeDocument(entries);
+            if (source) {
+                const configs = current?.version === BASELINE_VERSION ? current.configs : null;
+                document.configs = { ...configs, [source]: { createdAt: document.createdAt, configHash: document.configHash } };
+            }
+            return document;
+        });
+        return pruned;
+    }
+
+    readCurrentBaseline(content) {
+        if (!content) return {};
+        try {
+            const { baselineMeta } = this;
+            const baseline = this.parseBaseline(content);
+            this.baselineMeta = baselineMeta;
+            return this.config ? this.migrateBaselineKeys(baseline, this.config) : baseline;
+        } catch (err) {
+            return {}; // An unreadable baseline is replaced, as when it is read at the start of the run
         }
-        await this.fs.writeFile(baselinePath, JSON.stringify(newBaselineSizes, null, 2));
+    }
+
+    // Writes this run's sizes in the baseline file format, e.g. to compare two builds with `compsizer diff`.
+    async writeReport(reportFile) {
+        if (!reportFile) return;
+        const reportPath = this.path.resolve(process.cwd(), reportFile);
+        const entries = this.measuredEntries();
+        for (const [key, result] of Object.entries(this.results)) {
+            if (result.contributors) {
+                entries[key].contributors = result.contributors;
+            }
+            if (result.lazy) {
+                entries[key].lazy = { ...this.toBytes(result.lazy), files: result.lazy.files };
+            }
+        }
+        const report = this.createSizeDocument(entries);
+        if (Object.keys(this.orphans).length > 0) {
+            report.orphans = this.orphans;
+        }
+        if (this.duplicates) {
+            report.duplicates = this.duplicates;
+        }
+        await this.fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+        console.log(this.chalk.gray(`Size report written: ${reportPath}`));
+    }
+
+    measuredEntries() {
+        return Object.fromEntries(
+            Object.entries(this.results).map(([key, result]) => [key, { ...this.toBytes(result), files: result.files }])
+        );
+    }
+
+    createSizeDocument(entries) {
+        return {
+            version: BASELINE_VERSION,
+            createdAt: new Date().toISOString(),
+            configHash: this.configHash,
+            entries,
+        };
+    }
+
+    toBytes(result) {
+        return Object.fromEntries(
+            METRICS.map(metric => [metric.key, Math.round(result[metric.resultKey] * 1024)])
+        );
+    }
+
+    // Appends this run's sizes as one JSON line; unlike the baseline, history is written on every run.
+    async appendHistory(historyFile) {
+        if (!historyFile) return;
+        const historyPath = this.resolvePath(historyFile);
+        const entries = Object.fromEntries(
+            Object.entries(this.results).map(([key, result]) => [key, this.toBytes(result)])
+        );
+        await new SizeHistory(this.fs, this.path, this.chalk).append(historyPath, entries, this.rootDir ?? process.cwd());
+    }
+
+    // Dist folders are hashed relative to rootDir: workspace components get absolute paths, which would
+    // otherwise make the hash differ between checkouts.
+    hashConfig(config) {
+        const components = Object.fromEntries(
+            Object.entries(config.components || {}).map(([componentName, componentConfig]) => [
+                componentName,
+                typeof componentConfig?.distFolderLocation === 'string'
+                    ? {
+                        ...componentConfig,
+                        distFolderLocation: this.path
+                            .relative(this.rootDir ?? process.cwd(), this.resolvePath(componentConfig.distFolderLocation))
+                            .split(this.path.sep)
+                            .join('/'),
+                    }
+                    : componentConfig,
+            ])
+        );
+        return createHash('sha256').update(JSON.stringify({ ...config, components })).digest('hex');
     }
 
     parseSize(sizeStr) {
@@ -243,23 +1007,188 @@ class BundleSizeAnalyser {
         return parseFloat(match[1]);
     }
 
-    async analyseComponents(config) {
-        const { exclude, compression, baselineFile, components, defaults } = config;
-        const baselineSizes = await this.loadBaseline(baselineFile);
+    // Accepts "5%", "2 KB" or { percent, bytes, mode }, where mode is "either" (default) or "both".
+    parseIncreaseThreshold(threshold) {
+        if (typeof threshold === 'string') {
+            const percent = this.parsePercentage(threshold);
+            const bytes = percent === null ? this.parseSize(threshold) : null;
+            return { percent, bytes, mode: 'either' };
+        }
+        if (typeof threshold === 'object' && threshold !== null) {
+            return {
+                percent: this.parsePercentage(threshold.percent),
+                bytes: this.parseSize(threshold.bytes),
+                mode: threshold.mode === 'both' ? 'both' : 'either',
+            };
+        }
+        return { percent: null, bytes: null, mode: 'either' };
+    }
+
+    // Returns the conditions ("percent", "bytes") that tripped, or an empty array if the increase is within threshold.
+    evaluateIncrease({ percent, bytes, mode }, sizeIncrease, percentageIncrease) {
+        const conditions = [];
+        if (percent !== null) conditions.push(['percent', percentageIncrease > percent]);
+        if (bytes !== null) conditions.push(['bytes', sizeIncrease > bytes]);
+
+        const tripped = conditions.filter(([, exceeded]) => exceeded).map(([condition]) => condition);
+        if (mode === 'both' && tripped.length < conditions.length) return [];
+        return tripped;
+    }
+
+    describeIncreaseThreshold(threshold, trippedBy = null) {
+        if (typeof threshold !== 'object' || threshold === null) return threshold;
+        const parts = [];
+        if (threshold.percent && (!trippedBy || trippedBy.includes('percent'))) parts.push(threshold.percent);
+        if (threshold.bytes && (!trippedBy || trippedBy.includes('bytes'))) parts.push(threshold.bytes);
+        return parts.join(threshold.mode === 'both' ? ' and ' : ' or ');
+    }
+
+    // Picks each budget key from the most specific source that sets it (e.g. group, then component, then `defaults`).
+    resolveThresholds(...sources) {
+        const thresholds = { assetTypes: {}, severity: {} };
+        const pick = (read) => sources.map(read).find(value => value != null) ?? null;
+
+        for (const metric of METRICS) {
+            for (const key of [metric.maxKey, metric.increaseKey]) {
+                thresholds[key] = pick(source => source?.[key]);
+            }
+        }
+
+        for (const metric of METRICS) {
+            for (const rule of [metric.maxKey, metric.increaseKey]) {
+                thresholds.severity[rule] = pick(source => source?.severity?.[rule]) ?? DEFAULT_SEVERITY;
+            }
+        }
+
+        const assetTypes = new Set(sources.flatMap(source => Object.keys(source?.assetTypes || {})));
+        for (const assetType of assetTypes) {
+            thresholds.assetTypes[assetType] = {};
+            for (const metric of METRICS) {
+                thresholds.assetTypes[assetType][metric.maxKey] = pick(source => source?.assetTypes?.[assetType]?.[metric.maxKey]);
+            }
+        }
+        return thresholds;
+    }
+
+    // Returns the files matching the glob patterns (relative to cwd), where `!pattern` removes matches.
+    async matchFiles(files, patterns, cwd) {
+        const matched = new Set(await this.globPatterns(patterns, cwd));
+        return files.filter(file => matched.has(file));
+    }
+
+    // A group is only reported when each `requires` pattern matches a file and no `unless` pattern does.
+    async isGroupApplicable(group, files, cwd) {
+        for (const pattern of group.requires || []) {
+            if ((await this.matchFiles(files, [pattern], cwd)).length === 0) return false;
+        }
+        for (const pattern of group.unless || []) {
+            if ((await this.matchFiles(files, [pattern], cwd)).length > 0) return false;
+        }
+        return true;
+    }
+
+    // Proposes tightened max size budgets from the current sizes plus headroom. Budgets set on a component
+    // (or inherited from `defaults`) are written to the component and must fit its largest group; budgets
+    // set on a component's own groups are written to the group. Budgets on top-level groups are shared, so left alone.
+    proposeRatchet(config) {
+        const headroom = config.ratchet === true ? DEFAULT_RATCHET_HEADROOM : config.ratchet.headroom ?? DEFAULT_RATCHET_HEADROOM;
+        const proposals = new Map();
+
+        for (const result of Object.values(this.results)) {
+            const componentConfig = config.components[result.component];
+            const isExport = result.exportSubpath !== undefined;
+            const group = isExport
+                ? (componentConfig.exports ?? config.exports)?.budgets?.[result.exportBudgetKey] ?? {}
+                : this.resolveGroups(componentConfig, config)[result.groupId];
+            const ownGroup = isExport
+                ? componentConfig.exports?.budgets?.[result.exportBudgetKey] !== undefined
+                : componentConfig.groups?.[result.groupId] !== undefined;
+
+            for (const metric of METRICS) {
+                const comparison = result.metrics[metric.key];
+                const currentBytes = result[metric.resultKey] * 1024;
+                if (!comparison.maxSize || currentBytes === 0) continue;
+
+                let target;
+                if (group[metric.maxKey] != null) {
+                    if (!ownGroup) continue;
+                    target = isExport
+                        ? ['components', result.component, 'exports', 'budgets', result.exportBudgetKey, metric.maxKey]
+                        : ['components', result.component, 'groups', result.groupId, metric.maxKey];
+                } else {
+                    target = ['components', result.component, metric.maxKey];
+                }
+
+                const proposedBytes = this.addHeadroom(currentBytes, headroom);
+                const id = target.join('\0');
+                if (!proposals.has(id) || proposedBytes > proposals.get(id).proposedBytes) {
+                    proposals.set(id, { target, current: comparison.maxSize, proposedBytes });
+                }
+            }
+        }
+
+        return [...proposals.values()]
+            .map(proposal => ({ ...proposal, proposed: this.formatSize(proposal.proposedBytes) }))
+            .filter(proposal => this.parseSize(proposal.proposed) < this.parseSize(proposal.current));
+    }
+
+    addHeadroom(bytes, headroom) {
+        const percent = this.parsePercentage(headroom);
+        if (percent !== null) return bytes * (1 + percent / 100);
+        return bytes + (this.parseSize(headroom) ?? 0);
+    }
+
+    // Formats bytes as KB, rounded up so the formatted budget never falls below the measured size.
+    formatSize(bytes) {
+        return `${(Math.ceil((bytes / 1024) * 100) / 100).toFixed(2)} KB`;
+    }
+
+    async ratchetBudgets(config, write) {
+        const proposals = this.proposeRatchet(config);
+        if (proposals.length === 0) {
+            console.log(this.chalk.gray('Ratchet: all max size budgets are already tight.'));
+            return;
+        }
+
+        console.log(this.chalk.bold('Ratchet: tightened budgets'));
+        for (const { target, current, proposed } of proposals) {
+            const [componentName, ...keys] = target.slice(1);
+            const name = componentName + keys.map(key => (/^[\w-]+$/.test(key) ? `.${key}` : `["${key}"]`)).join('');
+            console.log(`  ${name}: ${current} -> ${proposed}`);
+        }
+
+        if (!write) {
+            console.log(this.chalk.gray('Run with --write-ratchet to write these budgets to the configuration file.'));
+            return;
+        }
+
+        const resolver = new ConfigResolver(this.fs, this.path);
+        await resolver.writeConfigValues(
+            this.configPath,
+            proposals.map(({ target, proposed }) => ({ path: target, value: proposed }))
+        );
+        console.log(this.chalk.green(`Ratchet: updated ${this.configPath}`));
+    }
+
+    async analyseComponents(config, options = {}) {
+        const { include = DEFAULT_INCLUDE, compression = {}, baselineFile, historyFile, components, defaults } = config;
+        this.configHash = this.hashConfig(config);
+        if (options.baselineRef && !baselineFile) {
+            throw new Error('Cannot read the baseline from a git ref: no baselineFile is configured');
+        }
+        this.baselineSource = baselineFile ? this.getBaselineSource(this.resolvePath(baselineFile)) : null;
+        const baselineSizes = await this.loadBaseline(baselineFile, config, options.baselineRef);
+        this.config = config;
 
+        const componentFiles = [];
         for (const [componentName, componentConfig] of Object.entries(components)) {
-            const {
-                maxSize,
-                warnOnIncrease = defaults?.warnOnIncrease || null,
-                distFolderLocation,
-                exclude: componentExclude = exclude
-            } = componentConfig;
+            const { distFolderLocation, include: componentInclude = include } = componentConfig;
 
             if (!distFolderLocation) {
                 throw new Error(`Error: distFolderLocation is not defined for component: ${componentName}`);
             }
 
-            const distFolderPath = this.path.resolve(process.cwd(), distFolderLocation);
+            const distFolderPath = this.resolvePath(distFolderLocation);
             try {
                 await this.fs.access(distFolderPath);
             } catch (err) {
@@ -267,72 +1196,205 @@ class BundleSizeAnalyser {
                 throw new Error(`Dist folder not found for component: ${componentName}`);
             }
 
-            const includePattern = `${distFolderPath}/**/*.js`;
-            const excludePatterns = Array.isArray(componentExclude) ? componentExclude : [componentExclude];
-            const allJsFiles = await this.collectFiles([includePattern], excludePatterns);
-            const indexJsFiles = allJsFiles.filter(file => file.endsWith('index.js'));
-            const reactJsFiles = allJsFiles.filter(file => file.endsWith('react.js'));
-            const otherJsFiles = allJsFiles.filter(file => !file.endsWith('index.js') && !file.endsWith('react.js'));
-
-            const indexJsSizeResults = await this.calculateSizes(indexJsFiles, compression);
-            this.results[`${componentName}/index.js`] = this.compareSizes(
-                indexJsSizeResults,
-                `${componentName}/index.js`,
-                baselineSizes,
-                { maxSize, warnOnIncrease }
+            const allFiles = await this.collectFiles(
+                distFolderPath,
+                [].concat(componentInclude),
+                this.resolveExclude(componentConfig, config)
             );
+            const exportsOption = componentConfig.exports ?? config.exports;
+            const groups = exportsOption
+                ? await this.resolveExportGroups(exportsOption, distFolderPath, allFiles, componentName)
+                : this.resolveGroups(componentConfig, config);
 
-            // Calculate sizes for index.js + react.js + other JS files, or just index.js + react.js if no other JS files
-            if (reactJsFiles.length > 0) {
-                const indexReactFiles = [...indexJsFiles, ...reactJsFiles];
-                const indexReactOtherFiles = [...indexJsFiles, ...reactJsFiles, ...otherJsFiles];
-
-                if (otherJsFiles.length > 0) {
-                    // Include other JS files
-                    const indexReactOtherSizeResults = await this.calculateSizes(indexReactOtherFiles, compression);
-                    this.results[`${componentName}/index.js + react.js + other JS`] = this.compareSizes(
-                        indexReactOtherSizeResults,
-                        `${componentName}/index.js + react.js + other JS`,
-                        baselineSizes,
-                        { maxSize, warnOnIncrease }
-                    );
+            // With `entryPoints` (or `exports`), only the files statically imported from the entry points are measured, and
+            // each group also includes the files its own files import. Files reached through import() are reported as lazy.
+            const entryPoints = componentConfig.entryPoints ?? config.entryPoints;
+            const graph = entryPoints || exportsOption ? await new ImportGraph(this.fs, this.path).build(allFiles) : null;
+            let measuredFiles = allFiles;
+            if (graph) {
+                const entryFiles = entryPoints
+                    ? await this.matchFiles(allFiles, [].concat(entryPoints), distFolderPath)
+                    : Object.values(groups).flatMap(group => group.entryFiles);
+                if (entryFiles.length === 0) {
+                    throw new Error(`No files matching entryPoints (${[].concat(entryPoints).join(', ')}) found for component: ${componentName}`);
+                }
+                measuredFiles = [...graph.reachable(entryFiles)].sort();
+                const orphans = graph.orphans(entryFiles);
+                if (orphans.length > 0) {
+                    this.orphans[componentName] = orphans.map(file => this.path.relative(distFolderPath, file).split(this.path.sep).join('/'));
+                }
+            }
+
+            const componentMeasuredFiles = new Set();
+            for (const [groupId, group] of Object.entries(groups)) {
+                let groupFiles;
+                if (group.entryFiles) {
+                    groupFiles = group.entryFiles;
+                } else if (await this.isGroupApplicable(group, measuredFiles, distFolderPath)) {
+                    groupFiles = await this.matchFiles(measuredFiles, group.files, distFolderPath);
                 } else {
-                    // Just index.js + react.js
-                    const indexReactSizeResults = await this.calculateSizes(indexReactFiles, compression);
-                    this.results[`${componentName}/index.js + react.js`] = this.compareSizes(
-                        indexReactSizeResults,
-                        `${componentName}/index.js + react.js`,
-                        baselineSizes,
-                        { maxSize, warnOnIncrease }
-                    );
+                    continue;
+                }
+
+                const groupKey = `${componentName}/${groupId}`;
+                let lazy = null;
+                if (graph) {
+                    groupFiles = [...graph.reachable(groupFiles)].sort();
+                    lazy = await this.calculateSizes([...graph.lazy(groupFiles)].sort(), compression, distFolderPath);
                 }
+                groupFiles.forEach(file => componentMeasuredFiles.add(file));
+                const groupSizeResults = await this.calculateSizes(groupFiles, compression, distFolderPath);
+                this.results[groupKey] = {
+                    label: `${componentName}/${group.label ?? groupId}`,
+                    component: componentName,
+                    groupId,
+                    exportSubpath: group.exportSubpath,
+                    exportBudgetKey: group.exportBudgetKey,
+                    ...this.compareSizes(
+                        groupSizeResults,
+                        groupKey,
+                        baselineSizes,
+                        this.resolveThresholds(group, componentConfig, defaults)
+                    ),
+                    contributors: config.sourceMaps
+                        ? await new SourceMapAttributor(this.fs, this.path).attribute(groupSizeResults.files, distFolderPath)
+                        : null,
+                    lazy,
+                };
+            }
+            for (const file of componentMeasuredFiles) {
+                componentFiles.push({
+                    component: componentName,
+                    file,
+                    name: this.path.relative(distFolderPath, file).split(this.path.sep).join('/'),
+                });
             }
+        }
 
-            // Calculate sizes for index.js + other JS files (excluding react.js) if there are other JS files
-            if (otherJsFiles.length > 0) {
-                const indexOtherFiles = [...indexJsFiles, ...otherJsFiles];
-                const indexOtherSizeResults = await this.calculateSizes(indexOtherFiles, compression);
-                this.results[`${componentName}/index.js + other JS`] = this.compareSizes(
-                    indexOtherSizeResults,
-                    `${componentName}/index.js + other JS`,
-                    baselineSizes,
-                    { maxSize, warnOnIncrease }
-                );
+        if (config.duplicates) {
+            const { functions = false, minSize } = config.duplicates === true ? {} : config.duplicates;
+            this.duplicates = await new DuplicateFinder(this.fs, this.path).find(componentFiles, {
+                functions,
+                minSize: this.parseSize(minSize) ?? 0,
+            });
+        }
+
+        this.baselineChanges = this.compareBaselineKeys(baselineSizes, components);
+        if (config.failOnRemoved && !options.pruneBaseline) {
+            for (const removal of this.baselineChanges.removed) {
+                removal.severity = 'error';
+                this.recordFailure({ component: removal.component, rule: 'failOnRemoved', baselineEntries: removal.keys }, 'error');
             }
         }
 
         this.outputResults();
-        await this.updateBaseline(baselineFile);
+        await this.outputFailureReport();
+        await this.maybeUpdateBaseline(baselineFile, options);
+        await this.appendHistory(historyFile);
+        await this.writeReport(options.reportFile);
+
+        if (config.ratchet && this.highestSeverity !== 'error') {
+            await this.ratchetBudgets(config, options.writeRatchet);
+        }
+
+        return this.outputSummary();
+    }
 
-        if (this.hasWarnings) {
-            await this.outputFailureReport();
+    // Only "error" severity fails the run; "warn" is reported but still succeeds
+    outputSummary() {
+        if (this.highestSeverity === 'error') {
             console.error(this.chalk.red('One or more components exceeded size thresholds.'));
             return false;
+        } else if (this.highestSeverity === 'warn') {
+            console.warn(this.chalk.yellow('One or more components exceeded size thresholds with severity "warn".'));
+            return true;
         } else {
             console.log(this.chalk.green('All components are within size thresholds.'));
             return true;
         }
     }
+
+    // Compares two size reports or baseline files, evaluating `config`'s budgets and increase thresholds
+    // (when given) against the second file as if the first were the baseline.
+    async diffReports(beforeFile, afterFile, config = null) {
+        const [before, after] = await Promise.all([beforeFile, afterFile].map(file => this.readSizeDocument(file)));
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+        console.log(this.chalk.bold(`\nComparing ${beforeFile} → ${afterFile}\n`));
+
+        for (const key of keys) {
+            console.log(this.chalk.blue.bold(`Component: ${key}`));
+            const thresholds = config ? this.resolveThresholdsForKey(key, config) : {};
+            const result = after[key] && {
+                ...Object.fromEntries(METRICS.map(metric => [metric.resultKey, (after[key][metric.key] || 0) / 1024])),
+                files: after[key].files,
+            };
+            if (!after[key] || !before[key]) {
+                const [side, entry] = after[key] ? [afterFile, after[key]] : [beforeFile, before[key]];
+                console.log(`Only in ${side}: ${((entry.raw || 0) / 1024).toFixed(2)} KB`);
+                // A group that is new in the second file has nothing to compare against, but must still fit its budgets
+                if (after[key]) {
+                    this.outputMaxSizeChecks(this.compareSizes(result, key, null, thresholds));
+                }
+                console.log('');
+                continue;
+            }
+
+            const comparison = this.compareSizes(result, key, before, thresholds);
+
+            for (const metric of METRICS) {
+                const previousSize = before[key][metric.key] || 0;
+                const currentSize = after[key][metric.key] || 0;
+                if (metric.key !== 'raw' && !previousSize && !currentSize) continue;
+
+                const { percentageIncrease, exceedsWarnIncrease, increaseSeverity, warnOnIncrease, trippedBy } = comparison.metrics[metric.key];
+                const percent = percentageIncrease === 'N/A' ? '' : `, ${percentageIncrease >= 0 ? '+' : ''}${percentageIncrease}%`;
+                const line = `${metric.label}: ${(previousSize / 1024).toFixed(2)} KB → ${(currentSize / 1024).toFixed(2)} KB (${this.formatDelta(currentSize - previousSize)}${percent})`;
+                if (exceedsWarnIncrease) {
+                    console.log(this.severityColour(increaseSeverity)(`${line}, exceeding threshold of ${this.describeIncreaseThreshold(warnOnIncrease, trippedBy)}`));
+                } else if (warnOnIncrease && percentageIncrease !== 'N/A') {
+                    console.log(this.chalk.green(`${line}, within threshold of ${this.describeIncreaseThreshold(warnOnIncrease)}`));
+                } else {
+                    console.log(line);
+                }
+            }
+            this.outputMaxSizeChecks(comparison);
+
+            if (before[key].files && after[key].files) {
+                this.outputFileChanges(this.sortFileChanges(this.diffFiles(after[key].files, before[key].files), 'raw'));
+            }
+            console.log('');
+        }
+
+        return this.outputSummary();
+    }
+
+    async readSizeDocument(file) {
+        const filepath = this.path.resolve(process.cwd(), file);
+        let content;
+        try {
+            content = JSON.parse(await this.fs.readFile(filepath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read size report ${filepath}: ${error.message}`);
+        }
+        return this.parseBaseline(content);
+    }
+
+    // Looks up the group and component a `<component>/<group id>` key was measured with.
+    resolveThresholdsForKey(key, config) {
+        const componentName = key.slice(0, key.lastIndexOf('/'));
+        const groupId = key.slice(key.lastIndexOf('/') + 1);
+        const componentConfig = config.components?.[componentName];
+        const exportsOption = componentConfig && (componentConfig.exports ?? config.exports);
+        let group;
+        if (exportsOption) {
+            const budgets = exportsOption.budgets ?? {};
+            group = budgets[this.findExportBudgetKey(Object.keys(budgets), groupId)];
+        } else {
+            group = componentConfig ? this.resolveGroups(componentConfig, config)[groupId] : config.groups?.[groupId];
+        }
+        return this.resolveThresholds(group, componentConfig, config.defaults);
+    }
 }
 
 export default BundleSizeAnalyser;
@@ -0,0 +1,213 @@
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+
+const CONFIG_FILENAMES = [
+    'compsizer.config.json',
+    'compsizer.config.js',
+    'compsizer.config.mjs',
+    'compsizer.config.cjs',
+];
+const PACKAGE_JSON_KEY = 'compsizer';
+
+// Locates and loads compsizer configuration from JSON, JavaScript modules or package.json,
+// following `extends` chains and merging them into a single configuration.
+class ConfigResolver {
+    constructor(fs, path) {
+        this.fs = fs;
+        this.path = path;
+    }
+
+    async resolve(configPath, cwd = process.cwd()) {
+        let located;
+        if (configPath) {
+            const filepath = this.path.resolve(cwd, configPath);
+            located = { config: await this.load(filepath), filepath };
+        } else {
+            located = await this.discover(cwd);
+        }
+
+        const sources = [];
+        const config = await this.applyExtends(located.config, located.filepath, [], sources);
+        return { config, filepath: located.filepath, sources };
+    }
+
+    // Merges every preset named in `extends` (in order) underneath the config itself.
+    // `sources` collects the files involved, presets first and the extending config last.
+    async applyExtends(config, filepath, chain, sources) {
+        if (chain.includes(filepath)) {
+            throw new Error(`Circular "extends" in configuration: ${[...chain, filepath].join(' -> ')}`);
+        }
+
+        const { extends: presets, ...ownConfig } = config;
+        let merged = {};
+
+        for (const specifier of [].concat(presets ?? [])) {
+            if (typeof specifier !== 'string' || specifier.length === 0) {
+                throw new Error(`Invalid "extends" entry in ${filepath}: expected a path or package name (got ${JSON.stringify(specifier)})`);
+            }
+            const presetPath = this.resolveSpecifier(specifier, filepath);
+            const preset = await this.load(presetPath);
+            const resolvedPreset = await this.applyExtends(preset, presetPath, [...chain, filepath], sources);
+            merged = this.mergeConfigs(merged, resolvedPreset);
+        }
+
+        if (!sources.includes(filepath)) {
+            sources.push(filepath);
+        }
+        return this.mergeConfigs(merged, ownConfig);
+    }
+
+    resolveSpecifier(specifier, fromFile) {
+        if (specifier.startsWith('.') || this.path.isAbsolute(specifier)) {
+            return this.path.resolve(this.path.dirname(fromFile), specifier);
+        }
+        try {
+            return createRequire(fromFile).resolve(specifier);
+        } catch (error) {
+            throw new Error(`Could not resolve "extends": "${specifier}" from ${fromFile}`);
+        }
+    }
+
+    // Merge rules: top-level `exclude` lists are concatenated (base first, duplicates removed),
+    // plain objects such as `compression`, `defaults`, `components` and each component are merged
+    // key by key, and any other value (including other arrays) from the override replaces the base.
+    mergeConfigs(base, override) {
+        const merged = this.deepMerge(base, override);
+        if (base.exclude !== undefined && override.exclude !== undefined) {
+            merged.exclude = [...new Set([...[].concat(base.exclude), ...[].concat(override.exclude)])];
+        }
+        return merged;
+    }
+
+    deepMerge(base, override) {
+        const merged = { ...base };
+        for (const [key, value] of Object.entries(override)) {
+            merged[key] = this.isPlainObject(value) && this.isPlainObject(base[key])
+                ? this.deepMerge(base[key], value)
+                : value;
+        }
+        return merged;
+    }
+
+    isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    // Walks up from startDir to the repository root (the first directory containing .git), or the filesystem root.
+    async discover(startDir) {
+        let directory = this.path.resolve(startDir);
+
+        while (true) {
+            for (const filename of CONFIG_FILENAMES) {
+                const filepath = this.path.join(directory, filename);
+                if (await this.exists(filepath)) {
+                    return { config: await this.load(filepath), filepath };
+                }
+            }
+
+            const packageJsonPath = this.path.join(directory, 'package.json');
+            if (await this.exists(packageJsonPath)) {
+                const packageJson = await this.readJson(packageJsonPath);
+                if (packageJson[PACKAGE_JSON_KEY] !== undefined) {
+                    return { config: packageJson[PACKAGE_JSON_KEY], filepath: packageJsonPath };
+                }
+            }
+
+            const parent = this.path.dirname(directory);
+            if (parent === directory || await this.exists(this.path.join(directory, '.git'))) {
+                break;
+            }
+            directory = parent;
+        }
+
+        throw new Error(
+            `No configuration found. Searched for ${CONFIG_FILENAMES.join(', ')} or a "${PACKAGE_JSON_KEY}" key in package.json from ${startDir} up to ${directory}`
+        );
+    }
+
+    async load(filepath) {
+        const basename = this.path.basename(filepath);
+        const extension = this.path.extname(filepath);
+
+        if (basename === 'package.json') {
+            const packageJson = await this.readJson(filepath);
+            if (packageJson[PACKAGE_JSON_KEY] === undefined) {
+                throw new Error(`No "${PACKAGE_JSON_KEY}" key found in ${filepath}`);
+            }
+            return packageJson[PACKAGE_JSON_KEY];
+        }
+
+        if (['.js', '.mjs', '.cjs'].includes(extension)) {
+            return this.loadModule(filepath);
+        }
+
+        return this.readJson(filepath);
+    }
+
+    async loadModule(filepath) {
+        let exported;
+        try {
+            const module = await import(pathToFileURL(filepath).href);
+            exported = module.default;
+        } catch (error) {
+            throw new Error(`Could not load configuration file ${filepath}: ${error.message}`);
+        }
+
+        // Modules may export a function (sync or async) so budgets can be computed at load time.
+        const config = typeof exported === 'function'
+            ? await exported({ configPath: filepath })
+            : exported;
+
+        if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+            throw new Error(`Configuration file ${filepath} must export an object or a function returning an object`);
+        }
+        return config;
+    }
+
+    // Sets each { path, value } (path being an array of keys) in a JSON config file or package.json "compsizer" key,
+    // keeping the file's indentation. JavaScript configs cannot be rewritten.
+    async writeConfigValues(filepath, updates) {
+        const basename = this.path.basename(filepath);
+        if (this.path.extname(filepath) !== '.json') {
+            throw new Error(`Cannot write to ${filepath}: only JSON configuration files can be updated automatically`);
+        }
+
+        const content = await this.fs.readFile(filepath, 'utf8');
+        const document = JSON.parse(content);
+        const config = basename === 'package.json' ? document[PACKAGE_JSON_KEY] : document;
+
+        for (const { path: keys, value } of updates) {
+            let node = config;
+            for (const key of keys.slice(0, -1)) {
+                if (!this.isPlainObject(node[key])) {
+                    node[key] = {};
+                }
+                node = node[key];
+            }
+            node[keys[keys.length - 1]] = value;
+        }
+
+        const indent = content.match(/^[ \t]+(?=")/m)?.[0] ?? 2;
+        await this.fs.writeFile(filepath, `${JSON.stringify(document, null, indent)}\n`);
+    }
+
+    async readJson(filepath) {
+        const content = await this.fs.readFile(filepath, 'utf8');
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Could not parse configuration file ${filepath}: ${error.message}`);
+        }
+    }
+
+    async exists(filepath) {
+        try {
+            await this.fs.access(filepath);
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+}
+
+export default ConfigResolver;
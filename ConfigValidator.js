@@ -0,0 +1,220 @@
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const defaultSchema = require('./compsizer.schema.json');
+
+// Validates a configuration object against the subset of JSON Schema used by
+// compsizer.schema.json, collecting every problem rather than stopping at the first.
+class ConfigValidator {
+    constructor(schema = defaultSchema) {
+        this.schema = schema;
+    }
+
+    validate(config) {
+        const errors = [];
+        this.validateNode(config, this.schema, '', errors);
+        return errors;
+    }
+
+    formatErrors(errors, configPath) {
+        const source = configPath ? ` in ${configPath}` : '';
+        const lines = errors.map(({ path, message }) => `  ${path || '/'}: ${message}`);
+        const count = errors.length === 1 ? '1 problem' : `${errors.length} problems`;
+        return `Invalid configuration${source} (${count}):\n${lines.join('\n')}`;
+    }
+
+    resolveRef(ref) {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Unsupported schema reference: ${ref}`);
+        }
+        return ref
+            .slice(2)
+            .split('/')
+            .reduce((node, segment) => node[this.unescapePointer(segment)], this.schema);
+    }
+
+    validateNode(value, schema, pointer, errors) {
+        if (schema.$ref) {
+            const { $ref, ...rest } = schema;
+            const target = this.resolveRef($ref);
+            this.validateNode(value, { ...target, ...rest, errorMessage: rest.errorMessage || target.errorMessage }, pointer, errors);
+            return;
+        }
+
+        const nodeErrors = [];
+
+        if (schema.anyOf || schema.oneOf) {
+            const branches = schema.anyOf || schema.oneOf;
+            const branchErrors = branches.map(branch => {
+                const collected = [];
+                this.validateNode(value, branch, pointer, collected);
+                return collected;
+            });
+            if (!branchErrors.some(collected => collected.length === 0)) {
+                // Prefer the errors of branches whose type matches the value, then the fewest errors
+                const candidates = branchErrors.filter((collected, index) => this.matchesBranchType(value, branches[index]));
+                const closest = (candidates.length > 0 ? candidates : branchErrors)
+                    .reduce((best, collected) => (collected.length < best.length ? collected : best));
+                nodeErrors.push(...closest);
+            }
+        }
+
+        if (schema.type && !this.matchesType(value, schema.type)) {
+            const expected = [].concat(schema.type).join(' or ');
+            nodeErrors.push({ path: pointer, message: `must be ${expected} (got ${this.describe(value)})` });
+            this.report(nodeErrors, schema, value, pointer, errors);
+            return;
+        }
+
+        if (schema.enum && !schema.enum.some(option => option === value)) {
+            const options = schema.enum.map(option => JSON.stringify(option)).join(', ');
+            nodeErrors.push({ path: pointer, message: `must be one of ${options} (got ${this.describe(value)})` });
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                nodeErrors.push({ path: pointer, message: 'must not be empty' });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                nodeErrors.push({ path: pointer, message: `does not match pattern ${schema.pattern} (got ${this.describe(value)})` });
+            }
+        }
+
+        if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+            nodeErrors.push({ path: pointer, message: `must be at least ${schema.minimum} (got ${value})` });
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                nodeErrors.push({ path: pointer, message: `must contain at least ${schema.minItems} item(s)` });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.validateNode(item, schema.items, `${pointer}/${index}`, errors));
+            }
+        }
+
+        if (this.isPlainObject(value)) {
+            this.validateObject(value, schema, pointer, nodeErrors, errors);
+        }
+
+        this.report(nodeErrors, schema, value, pointer, errors);
+    }
+
+    validateObject(value, schema, pointer, nodeErrors, errors) {
+        const properties = schema.properties || {};
+
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                nodeErrors.push({ path: `${pointer}/${this.escapePointer(key)}`, message: 'is required' });
+            }
+        }
+
+        if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+            nodeErrors.push({ path: pointer, message: `must define at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}` });
+        }
+
+        for (const [key, propertyValue] of Object.entries(value)) {
+            const propertyPointer = `${pointer}/${this.escapePointer(key)}`;
+            if (schema.propertyNames) {
+                this.validateNode(key, schema.propertyNames, propertyPointer, errors);
+            }
+            if (properties[key]) {
+                this.validateNode(propertyValue, properties[key], propertyPointer, errors);
+            } else if (this.isPlainObject(schema.additionalProperties)) {
+                this.validateNode(propertyValue, schema.additionalProperties, propertyPointer, errors);
+            } else if (schema.additionalProperties === false) {
+                const suggestion = this.suggest(key, Object.keys(properties));
+                const hint = suggestion ? ` Did you mean "${suggestion}"?` : '';
+                errors.push({ path: propertyPointer, message: `unknown property "${key}".${hint}` });
+            }
+        }
+    }
+
+    // Errors raised directly against a node collapse into its errorMessage when the schema provides one.
+    report(nodeErrors, schema, value, pointer, errors) {
+        if (nodeErrors.length === 0) return;
+        if (!schema.errorMessage) {
+            errors.push(...nodeErrors);
+            return;
+        }
+
+        const nested = nodeErrors.filter(error => error.path !== pointer);
+        if (nested.length < nodeErrors.length) {
+            errors.push({ path: pointer, message: `${schema.errorMessage} (got ${this.describe(value)})` });
+        }
+        errors.push(...nested);
+    }
+
+    matchesBranchType(value, branch) {
+        const resolved = branch.$ref ? this.resolveRef(branch.$ref) : branch;
+        return resolved.type === undefined || this.matchesType(value, resolved.type);
+    }
+
+    matchesType(value, type) {
+        return [].concat(type).some(expected => {
+            switch (expected) {
+                case 'object':
+                    return this.isPlainObject(value);
+                case 'array':
+                    return Array.isArray(value);
+                case 'integer':
+                    return Number.isInteger(value);
+                case 'number':
+                    return typeof value === 'number' && Number.isFinite(value);
+                case 'null':
+                    return value === null;
+                default:
+                    return typeof value === expected;
+            }
+        });
+    }
+
+    isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    describe(value) {
+        if (Array.isArray(value)) return 'an array';
+        if (value === null) return 'null';
+        if (typeof value === 'object') return 'an object';
+        return JSON.stringify(value);
+    }
+
+    suggest(key, candidates) {
+        let best = null;
+        let bestDistance = Infinity;
+        for (const candidate of candidates) {
+            const distance = candidate.toLowerCase() === key.toLowerCase() ? 0 : this.distance(key, candidate);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+        const tolerance = Math.max(2, Math.floor(key.length / 3));
+        return bestDistance <= tolerance ? best : null;
+    }
+
+    // Levenshtein distance between two strings.
+    distance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    escapePointer(segment) {
+        return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    unescapePointer(segment) {
+        return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    }
+}
+
+export default ConfigValidator;
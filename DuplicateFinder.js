@@ -0,0 +1,146 @@
+import { createHash } from 'crypto';
+import SourceScanner from './SourceScanner.js';
+
+// `function name(`, `export default async function* (` ...
+const FUNCTION_HEAD = /(?:export\s+(?:default\s+)?)?(?:async\s+)?function\b\s*\*?\s*([\w$]*)\s*\(/y;
+// `const name = (`, `let name = async (`, `var name = function (` ...; arrows are confirmed once their parameters are read
+const VARIABLE_HEAD = /(?:export\s+)?(?:const|let|var)\s+([\w$]+)\s*=\s*(?:async\s*)?(function\b\s*\*?\s*[\w$]*\s*)?\(/y;
+const ARROW_BODY = /\s*=>\s*\{/y;
+const FUNCTION_BODY = /\s*\{/y;
+const STATEMENT_START = /[\s;})]/;
+
+// Finds code that is bundled into more than one component: files with identical contents and, optionally,
+// top-level functions that are identical once comments, whitespace and their own name are ignored.
+// A file measured by several components is a single copy; only separate copies of the same code count.
+class DuplicateFinder {
+    constructor(fs, path) {
+        this.fs = fs;
+        this.path = path;
+        this.scanner = new SourceScanner();
+    }
+
+    // `files` lists every measured file as { component, file (absolute), name (relative to its dist folder) }.
+    // Returns the duplicates as { type, name, bytes, copies: [{ file, components, bytes }], saving }, largest saving first,
+    // with the total bytes of all copies and the bytes saved by keeping only the smallest copy of each.
+    // `bytes` is the size of all copies together, as copies of a normalised function can differ in size.
+    async find(files, { functions = false, minSize = 0 } = {}) {
+        const copiesByPath = new Map();
+        for (const { component, file, name } of files) {
+            const copy = copiesByPath.get(file) ?? { file, name, components: [] };
+            if (!copy.components.includes(component)) copy.components.push(component);
+            copiesByPath.set(file, copy);
+        }
+
+        const fileHashes = new Map();
+        const functionHashes = new Map();
+        const contents = new Map();
+        for (const copy of copiesByPath.values()) {
+            const content = await this.fs.readFile(copy.file);
+            contents.set(copy.file, content);
+            this.add(fileHashes, this.hash(content), { type: 'file', name: copy.name }, copy, content.length);
+        }
+
+        const duplicates = this.collect(fileHashes, minSize);
+        if (functions) {
+            const duplicatedFiles = new Set(duplicates.flatMap(duplicate => duplicate.copies.map(({ copy }) => copy)));
+            for (const copy of copiesByPath.values()) {
+                if (duplicatedFiles.has(copy) || !['.js', '.mjs', '.cjs'].includes(this.path.extname(copy.file))) continue;
+                for (const fn of this.topLevelFunctions(contents.get(copy.file).toString('utf8'))) {
+                    const code = { type: 'function', name: fn.name || '(anonymous)' };
+                    this.add(functionHashes, this.hash(this.normalise(fn)), code, copy, Buffer.byteLength(fn.text));
+                }
+            }
+            duplicates.push(...this.collect(functionHashes, minSize));
+        }
+
+        duplicates.sort((a, b) => b.saving - a.saving || a.name.localeCompare(b.name));
+        return {
+            duplicates: duplicates.map(duplicate => ({
+                ...duplicate,
+                copies: duplicate.copies.map(({ copy, bytes }) => ({ file: copy.name, components: copy.components, bytes })),
+            })),
+            duplicatedBytes: duplicates.reduce((total, duplicate) => total + duplicate.bytes, 0),
+            savingBytes: duplicates.reduce((total, duplicate) => total + duplicate.saving, 0),
+        };
+    }
+
+    add(hashes, hash, code, copy, bytes) {
+        const entry = hashes.get(hash) ?? { ...code, copies: [] };
+        // A function repeated within one file is still one copy of that file
+        if (!entry.copies.some(existing => existing.copy === copy)) entry.copies.push({ copy, bytes });
+        hashes.set(hash, entry);
+    }
+
+    collect(hashes, minSize) {
+        return [...hashes.values()]
+            .filter(entry => entry.copies.length > 1)
+            .filter(entry => new Set(entry.copies.flatMap(({ copy }) => copy.components)).size > 1)
+            .map(entry => {
+                const sizes = entry.copies.map(({ bytes }) => bytes);
+                const bytes = sizes.reduce((total, size) => total + size, 0);
+                return { ...entry, bytes, saving: bytes - Math.min(...sizes) };
+            })
+            .filter(entry => entry.saving > 0 && Math.min(...entry.copies.map(({ bytes }) => bytes)) >= minSize);
+    }
+
+    hash(content) {
+        return createHash('sha256').update(content).digest('hex');
+    }
+
+    // Minifiers and bundlers rename functions and reformat them, so the name, comments and layout are ignored.
+    normalise(fn) {
+        const body = this.scanner
+            .stripComments(fn.text.slice(fn.headEnd))
+            .replace(/\s+/g, ' ')
+            .replace(/ ?([^\w$ ]) ?/g, '$1')
+            .replace(/;}/g, '}');
+        return `${fn.arrow ? '=>' : 'function'}${body}`;
+    }
+
+    // Returns the top-level function declarations and function-valued variables of a module as
+    // { name, text, headEnd, arrow }, `headEnd` being the offset of the parameter list in `text`.
+    topLevelFunctions(source) {
+        const functions = [];
+        let depth = 0;
+        let index = 0;
+        while (index < source.length) {
+            if (depth === 0 && (index === 0 || STATEMENT_START.test(source[index - 1]))) {
+                const fn = this.readFunction(source, index);
+                if (fn) {
+                    functions.push(fn);
+                    index = fn.end;
+                    continue;
+                }
+            }
+            if (source[index] === '{') depth++;
+            if (source[index] === '}') depth--;
+            index = this.scanner.skipToken(source, index);
+        }
+        return functions.map(({ end, start, ...fn }) => fn);
+    }
+
+    readFunction(source, start) {
+        const head = [FUNCTION_HEAD, VARIABLE_HEAD]
+            .map(pattern => {
+                pattern.lastIndex = start;
+                return pattern.exec(source);
+            })
+            .find(Boolean);
+        if (!head) return null;
+
+        const arrow = !/\bfunction\b/.test(head[0]);
+        const paramsStart = start + head[0].length - 1;
+        const paramsEnd = this.scanner.findClosing(source, paramsStart);
+        if (paramsEnd === -1) return null;
+
+        const bodyPattern = arrow ? ARROW_BODY : FUNCTION_BODY;
+        bodyPattern.lastIndex = paramsEnd;
+        if (!bodyPattern.exec(source)) return null;
+        const end = this.scanner.findClosing(source, bodyPattern.lastIndex - 1);
+        if (end === -1) return null;
+
+        return { name: head[1], text: source.slice(start, end), headEnd: paramsStart - start, arrow, start, end };
+    }
+}
+
+export default DuplicateFinder;
@@ -0,0 +1,20 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+const MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+// Runs git in a directory. A failed command rejects with execFile's error: `code` is git's exit code
+// (or "ENOENT" when git cannot be run) and `stderr` its output.
+class Git {
+    constructor(cwd) {
+        this.cwd = cwd;
+    }
+
+    async run(...args) {
+        const { stdout } = await execFileAsync('git', args, { cwd: this.cwd, maxBuffer: MAX_OUTPUT_BYTES });
+        return stdout;
+    }
+}
+
+export default Git;
@@ -0,0 +1,85 @@
+import SourceScanner from './SourceScanner.js';
+
+// `import x from './a.js'`, `import './a.js'`, `export * from './a.js'` and their minified forms
+const STATIC_IMPORT = /(?:^|[^.\w$])(?:import|export)\s*(?:[\w$*{}\s,]+?\s*from\s*)?(["'])([^"'\n]+?)\1/g;
+const DYNAMIC_IMPORT = /(?:^|[^.\w$])import\s*\(\s*(["'`])([^"'`\n]+?)\1\s*\)/g;
+const RESOLVE_SUFFIXES = ['', '.js', '.mjs', '.cjs', '/index.js', '/index.mjs'];
+
+// The graph of relative imports between the files of a dist folder, used to find the files reachable from
+// its entry points. Static imports are followed for the entry's own size; dynamic `import()` targets are lazy.
+// Bare specifiers (npm packages) are external and not followed.
+class ImportGraph {
+    constructor(fs, path) {
+        this.fs = fs;
+        this.path = path;
+        this.files = new Set();
+        this.edges = new Map();
+        this.scanner = new SourceScanner();
+    }
+
+    // `files` are absolute paths; only imports that resolve to one of them become edges.
+    async build(files) {
+        this.files = new Set(files);
+        this.edges = new Map();
+
+        for (const file of files) {
+            const edges = { static: new Set(), dynamic: new Set() };
+            if (['.js', '.mjs', '.cjs'].includes(this.path.extname(file))) {
+                // Import statements are matched in code only: comments are removed and string contents masked
+                const content = this.scanner.stripComments(await this.fs.readFile(file, 'utf8'));
+                const { code, strings } = this.scanner.maskStrings(content);
+                for (const [kind, pattern] of [['dynamic', DYNAMIC_IMPORT], ['static', STATIC_IMPORT]]) {
+                    for (const [, , stringIndex] of code.matchAll(pattern)) {
+                        const target = this.resolve(strings[Number(stringIndex)], file);
+                        if (target && target !== file) {
+                            edges[kind].add(target);
+                        }
+                    }
+                }
+            }
+            this.edges.set(file, edges);
+        }
+        return this;
+    }
+
+    resolve(specifier, fromFile) {
+        if (!specifier.startsWith('.') && !specifier.startsWith('/')) return null;
+        const base = this.path.resolve(this.path.dirname(fromFile), specifier.replace(/[?#].*$/, ''));
+        return RESOLVE_SUFFIXES.map(suffix => `${base}${suffix}`).find(candidate => this.files.has(candidate)) ?? null;
+    }
+
+    // The files reachable from `starts` through static imports, including `starts` themselves.
+    reachable(starts) {
+        return this.walk(starts, ['static']);
+    }
+
+    // The files only reachable from `starts` through at least one dynamic import.
+    lazy(starts) {
+        const eager = this.reachable(starts);
+        const lazyStarts = [...eager].flatMap(file => [...this.edges.get(file).dynamic]);
+        const lazy = this.walk(lazyStarts, ['static', 'dynamic']);
+        return new Set([...lazy].filter(file => !eager.has(file)));
+    }
+
+    // The files not reachable from `starts` in any way.
+    orphans(starts) {
+        const used = this.walk(starts, ['static', 'dynamic']);
+        return [...this.files].filter(file => !used.has(file));
+    }
+
+    walk(starts, kinds) {
+        const visited = new Set();
+        const queue = [...starts];
+        while (queue.length > 0) {
+            const file = queue.shift();
+            if (visited.has(file) || !this.files.has(file)) continue;
+            visited.add(file);
+            for (const kind of kinds) {
+                queue.push(...this.edges.get(file)[kind]);
+            }
+        }
+        return visited;
+    }
+}
+
+export default ImportGraph;
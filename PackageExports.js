@@ -0,0 +1,125 @@
+const DEFAULT_CONDITIONS = ['browser', 'import', 'default'];
+
+// Resolves the public entry points of a package from the `exports` field of its package.json,
+// following Node's resolution rules for the given conditions.
+class PackageExports {
+    constructor(fs, path, glob) {
+        this.fs = fs;
+        this.path = path;
+        this.glob = glob;
+    }
+
+    // The nearest package.json at or above startDir.
+    async findPackageJson(startDir) {
+        let directory = this.path.resolve(startDir);
+        while (true) {
+            const candidate = this.path.join(directory, 'package.json');
+            try {
+                await this.fs.access(candidate);
+                return candidate;
+            } catch (err) {
+                const parent = this.path.dirname(directory);
+                if (parent === directory) {
+                    throw new Error(`No package.json found at or above ${startDir}`);
+                }
+                directory = parent;
+            }
+        }
+    }
+
+    // Returns one { subpath, key, file } per export, `file` being absolute and `key` the exports key it was
+    // resolved from. Subpath patterns (`./icons/*`) yield an entry for every file their target matches.
+    // As in Node, a subpath belongs to its most specific key, so a `null` key (`"./internal/*": null`)
+    // also hides the subpaths that a broader pattern (`"./*"`) would otherwise export.
+    async resolve(packageJsonPath, conditions = DEFAULT_CONDITIONS) {
+        let packageJson;
+        try {
+            packageJson = JSON.parse(await this.fs.readFile(packageJsonPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read ${packageJsonPath}: ${error.message}`);
+        }
+        if (packageJson.exports === undefined) {
+            throw new Error(`No "exports" field in ${packageJsonPath}`);
+        }
+
+        const packageDir = this.path.dirname(packageJsonPath);
+        const activeConditions = new Set([...conditions, 'default']);
+        const exports = this.normaliseExports(packageJson.exports);
+        const keys = Object.keys(exports);
+        const resolved = [];
+
+        for (const [key, target] of Object.entries(exports)) {
+            const resolvedTarget = this.resolveTarget(target, activeConditions);
+            if (typeof resolvedTarget !== 'string') continue;
+
+            const entries = key.includes('*')
+                ? await this.expandPattern(key, resolvedTarget, packageDir)
+                : [{ subpath: key, file: this.path.resolve(packageDir, resolvedTarget) }];
+            for (const entry of entries) {
+                if (this.matchKey(entry.subpath, keys) === key) {
+                    resolved.push({ ...entry, key });
+                }
+            }
+        }
+        return resolved;
+    }
+
+    // The key Node resolves `subpath` with: the key itself if it is listed, else the matching pattern
+    // with the longest part before its "*" (then the longest key).
+    matchKey(subpath, keys) {
+        if (keys.includes(subpath)) return subpath;
+        return keys
+            .filter(key => {
+                const [prefix, suffix] = key.split('*');
+                return key.includes('*') && subpath.length >= key.length && subpath.startsWith(prefix) && subpath.endsWith(suffix);
+            })
+            .sort((a, b) => b.indexOf('*') - a.indexOf('*') || b.length - a.length)[0] ?? null;
+    }
+
+    // `"exports": "./index.js"` and condition-only objects are shorthand for the "." subpath.
+    normaliseExports(exports) {
+        if (typeof exports === 'string' || Array.isArray(exports)) {
+            return { '.': exports };
+        }
+        if (exports === null || typeof exports !== 'object') {
+            return {};
+        }
+        const keys = Object.keys(exports);
+        return keys.length > 0 && keys.every(key => !key.startsWith('.')) ? { '.': exports } : exports;
+    }
+
+    // Condition objects are matched in their own key order, as Node does; arrays are fallbacks.
+    resolveTarget(target, conditions) {
+        if (typeof target === 'string' || target === null) {
+            return target;
+        }
+        if (Array.isArray(target)) {
+            for (const candidate of target) {
+                const resolved = this.resolveTarget(candidate, conditions);
+                if (resolved !== undefined) return resolved;
+            }
+            return undefined;
+        }
+        if (typeof target === 'object') {
+            for (const [condition, value] of Object.entries(target)) {
+                if (!conditions.has(condition)) continue;
+                const resolved = this.resolveTarget(value, conditions);
+                if (resolved !== undefined) return resolved;
+            }
+        }
+        return undefined;
+    }
+
+    async expandPattern(subpath, target, packageDir) {
+        const [prefix, suffix] = target.split('*');
+        const pattern = `${prefix.replace(/^\.\//, '')}**/*${suffix}`;
+        const files = await this.glob(pattern, { cwd: packageDir, nodir: true, posix: true });
+
+        return files.sort().map(file => {
+            const match = `./${file}`.slice(prefix.length, suffix ? -suffix.length : undefined);
+            return { subpath: subpath.replace('*', match), file: this.path.resolve(packageDir, file) };
+        });
+    }
+}
+
+export default PackageExports;
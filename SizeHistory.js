@@ -0,0 +1,125 @@
+import Git from './Git.js';
+
+const SPARK_CHARS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+const HISTORY_METRICS = [
+    { key: 'raw', label: 'Raw' },
+    { key: 'gzip', label: 'Gzip' },
+    { key: 'brotli', label: 'Brotli' },
+];
+
+// Appends per-run sizes to a JSON Lines history file and renders trends from it.
+class SizeHistory {
+    constructor(fs, path, chalk) {
+        this.fs = fs;
+        this.path = path;
+        this.chalk = chalk;
+    }
+
+    // entries: { '<component>/<group id>': { raw, gzip, brotli } } in bytes
+    async append(historyPath, entries, cwd = process.cwd()) {
+        const { commit, branch } = await this.getGitInfo(cwd);
+        const record = {
+            timestamp: new Date().toISOString(),
+            commit,
+            branch,
+            entries,
+        };
+        await this.fs.appendFile(historyPath, `${JSON.stringify(record)}\n`);
+    }
+
+    async getGitInfo(cwd) {
+        const repository = new Git(cwd);
+        const git = async (...args) => {
+            try {
+                return (await repository.run(...args)).trim() || null;
+            } catch (err) {
+                return null;
+            }
+        };
+        const [commit, branch] = await Promise.all([
+            git('rev-parse', 'HEAD'),
+            git('rev-parse', '--abbrev-ref', 'HEAD'),
+        ]);
+        return { commit, branch: branch === 'HEAD' ? null : branch };
+    }
+
+    async read(historyPath) {
+        let content;
+        try {
+            content = await this.fs.readFile(historyPath, 'utf8');
+        } catch (error) {
+            throw new Error(`History file not found: ${historyPath}`);
+        }
+        return content
+            .split('\n')
+            .filter(line => line.trim())
+            .map((line, index) => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    throw new Error(`Invalid JSON on line ${index + 1} of ${historyPath}: ${error.message}`);
+                }
+            });
+    }
+
+    // `component` is either a full key (`modal/index`) or a component name, which selects all of its groups.
+    async print(historyPath, component, { limit } = {}) {
+        const records = await this.read(historyPath);
+        const keys = [...new Set(records.flatMap(record => Object.keys(record.entries || {})))]
+            .filter(key => key === component || key.startsWith(`${component}/`));
+
+        if (keys.length === 0) {
+            throw new Error(`No history recorded for component: ${component}`);
+        }
+
+        for (const key of keys) {
+            const rows = records
+                .filter(record => record.entries?.[key])
+                .map(record => ({ ...record, sizes: record.entries[key] }))
+                .slice(limit ? -limit : 0);
+            this.printTable(key, rows);
+        }
+    }
+
+    printTable(key, rows) {
+        console.log(this.chalk.blue.bold(`History for ${key} (${rows.length} run${rows.length === 1 ? '' : 's'})\n`));
+
+        const metrics = HISTORY_METRICS.filter(metric => rows.some(row => row.sizes[metric.key]));
+        const header = ['Date', 'Commit', 'Branch', ...metrics.map(metric => metric.label)];
+        const body = rows.map(row => [
+            row.timestamp.replace('T', ' ').slice(0, 16),
+            row.commit ? row.commit.slice(0, 7) : '-',
+            row.branch || '-',
+            ...metrics.map(metric => this.formatKB(row.sizes[metric.key])),
+        ]);
+
+        const widths = header.map((cell, index) => Math.max(cell.length, ...body.map(row => row[index].length)));
+        const formatRow = row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+        console.log(this.chalk.bold(formatRow(header)));
+        body.forEach(row => console.log(formatRow(row)));
+        console.log('');
+
+        for (const metric of metrics) {
+            const values = rows.map(row => row.sizes[metric.key] || 0);
+            const first = this.formatKB(values[0]);
+            const last = this.formatKB(values[values.length - 1]);
+            console.log(`${metric.label.padEnd(6)}  ${this.sparkline(values)}  ${first} → ${last}`);
+        }
+        console.log('');
+    }
+
+    sparkline(values) {
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const range = max - min;
+        return values
+            .map(value => SPARK_CHARS[range === 0 ? 0 : Math.round(((value - min) / range) * (SPARK_CHARS.length - 1))])
+            .join('');
+    }
+
+    formatKB(bytes) {
+        return `${((bytes || 0) / 1024).toFixed(2)} KB`;
+    }
+}
+
+export default SizeHistory;
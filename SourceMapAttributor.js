@@ -0,0 +1,182 @@
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const SOURCE_MAPPING_URL = /(?:\/\/|\/\*)[#@]\s*sourceMappingURL=([^\s*]+)\s*(?:\*\/\s*)?$/;
+const NODE_MODULES = 'node_modules/';
+const UNMAPPED = '(unmapped)';
+
+// Attributes the bytes of built files to the original source files (or npm packages) they came from,
+// using the files' source maps. Compressed sizes are shared out in proportion to the raw bytes.
+class SourceMapAttributor {
+    constructor(fs, path) {
+        this.fs = fs;
+        this.path = path;
+    }
+
+    // `files` maps each path relative to baseDir to its measured { raw, gzip, brotli }.
+    // Returns the contributors as { name, type, raw, gzip, brotli }, largest first. `type` is "package" for
+    // npm packages, "source" for other original files, "file" for built files without a source map
+    // and "unmapped" for bytes that the source maps do not attribute to any source.
+    async attribute(files, baseDir) {
+        const contributors = new Map();
+        const add = (name, type, bytes, file) => {
+            if (bytes === 0) return;
+            const key = `${type}:${name}`;
+            const contributor = contributors.get(key) ?? { name, type, raw: 0, gzip: 0, brotli: 0 };
+            contributor.raw += bytes;
+            // Compressed bytes cannot be traced back to a source, so each source gets its raw share of them
+            contributor.gzip += file.raw ? (bytes / file.raw) * file.gzip : 0;
+            contributor.brotli += file.raw ? (bytes / file.raw) * file.brotli : 0;
+            contributors.set(key, contributor);
+        };
+
+        for (const [relativePath, file] of Object.entries(files)) {
+            const filePath = this.path.resolve(baseDir, relativePath);
+            const extension = this.path.extname(filePath);
+            const content = ['.js', '.mjs', '.cjs', '.css'].includes(extension)
+                ? await this.fs.readFile(filePath, 'utf8')
+                : null;
+            const sourceMap = content !== null ? await this.readSourceMap(filePath, content) : null;
+
+            if (!sourceMap) {
+                add(relativePath, 'file', file.raw, file);
+                continue;
+            }
+            for (const { source, bytes } of this.attributeFile(content, sourceMap)) {
+                const { name, type } = source === null
+                    ? { name: UNMAPPED, type: 'unmapped' }
+                    : this.describeSource(sourceMap.sources[source], sourceMap.sourceRoot);
+                add(name, type, bytes, file);
+            }
+        }
+
+        return [...contributors.values()]
+            .map(contributor => ({
+                ...contributor,
+                gzip: Math.round(contributor.gzip),
+                brotli: Math.round(contributor.brotli),
+            }))
+            .sort((a, b) => b.raw - a.raw || a.name.localeCompare(b.name));
+    }
+
+    // Returns the byte count of each mapped range of the file as { source (index or null), bytes }.
+    // A segment covers its line up to the next segment; line breaks count towards the last segment of their line.
+    attributeFile(content, sourceMap) {
+        const ranges = [];
+        const mappings = this.decodeMappings(sourceMap.mappings);
+        const lines = content.split('\n');
+
+        lines.forEach((line, index) => {
+            const segments = mappings[index] || [];
+            const lineBreak = index < lines.length - 1 ? 1 : 0;
+            if (segments.length === 0) {
+                ranges.push({ source: null, bytes: Buffer.byteLength(line) + lineBreak });
+                return;
+            }
+
+            ranges.push({ source: null, bytes: Buffer.byteLength(line.slice(0, segments[0].column)) });
+            segments.forEach((segment, segmentIndex) => {
+                const end = segments[segmentIndex + 1]?.column ?? line.length;
+                const isLast = segmentIndex === segments.length - 1;
+                ranges.push({
+                    source: segment.source,
+                    bytes: Buffer.byteLength(line.slice(segment.column, end)) + (isLast ? lineBreak : 0),
+                });
+            });
+        });
+
+        return ranges;
+    }
+
+    // Decodes the "mappings" field into one array of { column, source } segments per generated line.
+    // Only the generated column and source index are kept; `source` is null for segments without a source.
+    decodeMappings(mappings) {
+        let source = 0;
+        return mappings.split(';').map(line => {
+            let column = 0;
+            return line
+                .split(',')
+                .filter(Boolean)
+                .map(segment => {
+                    const values = this.decodeVlq(segment);
+                    column += values[0];
+                    if (values.length < 4) {
+                        return { column, source: null };
+                    }
+                    source += values[1];
+                    return { column, source };
+                })
+                .sort((a, b) => a.column - b.column);
+        });
+    }
+
+    decodeVlq(segment) {
+        const values = [];
+        let value = 0;
+        let shift = 0;
+        for (const char of segment) {
+            const digit = BASE64_CHARS.indexOf(char);
+            if (digit === -1) {
+                throw new Error(`Invalid character "${char}" in source map mappings`);
+            }
+            value += (digit & 31) * 2 ** shift;
+            if (digit & 32) {
+                shift += 5;
+            } else {
+                values.push(value % 2 === 1 ? -Math.floor(value / 2) : value / 2);
+                value = 0;
+                shift = 0;
+            }
+        }
+        return values;
+    }
+
+    // Follows the file's sourceMappingURL comment (a data: URL or a path relative to the file),
+    // falling back to `<file>.map` next to it.
+    async readSourceMap(filePath, content) {
+        const lastLines = content.trimEnd().split('\n').slice(-2);
+        const url = lastLines.map(line => line.trim().match(SOURCE_MAPPING_URL)?.[1]).filter(Boolean).pop();
+        let raw = null;
+
+        if (url?.startsWith('data:')) {
+            const [header, data] = url.split(',', 2);
+            raw = header.endsWith(';base64') ? Buffer.from(data, 'base64').toString('utf8') : decodeURIComponent(data);
+        } else {
+            const candidates = [url && this.path.resolve(this.path.dirname(filePath), decodeURI(url)), `${filePath}.map`];
+            for (const candidate of candidates.filter(Boolean)) {
+                try {
+                    raw = await this.fs.readFile(candidate, 'utf8');
+                    break;
+                } catch (err) {
+                    // Try the next location
+                }
+            }
+        }
+
+        if (raw === null) return null;
+        try {
+            const sourceMap = JSON.parse(raw);
+            // Index maps (with `sections`) are not supported; their files are attributed as a whole
+            return typeof sourceMap.mappings === 'string' && Array.isArray(sourceMap.sources) ? sourceMap : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // Names a source by its npm package when it comes from node_modules, otherwise by its path
+    // with bundler prefixes such as `webpack:///./` removed.
+    describeSource(source, sourceRoot) {
+        const name = `${sourceRoot ? `${sourceRoot.replace(/\/$/, '')}/` : ''}${source ?? ''}`
+            .replace(/\\/g, '/')
+            .replace(/^[a-z][\w+.-]*:\/*/i, '')
+            .replace(/\?.*$/, '')
+            .replace(/^(\.{1,2}\/)+/, '');
+
+        const nodeModulesIndex = name.lastIndexOf(NODE_MODULES);
+        if (nodeModulesIndex !== -1) {
+            const [scopeOrName, packageName] = name.slice(nodeModulesIndex + NODE_MODULES.length).split('/');
+            return { name: scopeOrName.startsWith('@') ? `${scopeOrName}/${packageName}` : scopeOrName, type: 'package' };
+        }
+        return { name: name || UNMAPPED, type: name ? 'source' : 'unmapped' };
+    }
+}
+
+export default SourceMapAttributor;
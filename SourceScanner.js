@@ -0,0 +1,83 @@
+// Steps through JavaScript source just far enough to tell code apart from strings, template literals and comments.
+// Regular expression literals are not recognised, so quotes, brackets or comment markers inside them can mislead it.
+class SourceScanner {
+    // Returns the offset after the string, template literal or comment starting at `index`, or after its character.
+    skipToken(source, index) {
+        const char = source[index];
+        if (char === '/' && source[index + 1] === '/') {
+            const end = source.indexOf('\n', index);
+            return end === -1 ? source.length : end;
+        }
+        if (char === '/' && source[index + 1] === '*') {
+            const end = source.indexOf('*/', index + 2);
+            return end === -1 ? source.length : end + 2;
+        }
+        if (char === '"' || char === "'" || char === '`') {
+            let position = index + 1;
+            while (position < source.length && source[position] !== char) {
+                if (source[position] === '\\') position++;
+                else if (char === '`' && source[position] === '$' && source[position + 1] === '{') {
+                    position = this.findClosing(source, position + 1) - 1;
+                    if (position < 0) return source.length;
+                }
+                position++;
+            }
+            return position + 1;
+        }
+        return index + 1;
+    }
+
+    // Returns the offset after the bracket that closes the one at `openIndex`, or -1 if it is not closed.
+    findClosing(source, openIndex) {
+        let depth = 0;
+        let index = openIndex;
+        while (index < source.length) {
+            const char = source[index];
+            if (char === '(' || char === '{' || char === '[') depth++;
+            if (char === ')' || char === '}' || char === ']') depth--;
+            index = this.skipToken(source, index);
+            if (depth === 0) return index;
+        }
+        return -1;
+    }
+
+    // The source with every comment blanked out by spaces, keeping offsets and line breaks.
+    stripComments(source) {
+        const parts = [];
+        let start = 0;
+        let index = 0;
+        while (index < source.length) {
+            const next = this.skipToken(source, index);
+            if (source[index] === '/' && (source[index + 1] === '/' || source[index + 1] === '*')) {
+                parts.push(source.slice(start, index), source.slice(index, next).replace(/[^\n]/g, ' '));
+                start = next;
+            }
+            index = next;
+        }
+        parts.push(source.slice(start));
+        return parts.join('');
+    }
+
+    // Replaces the contents of every string and template literal with its index in `strings`, keeping the quotes:
+    // `import './a.js'` becomes `import '0'`. Code can then be matched without matching text inside strings.
+    maskStrings(source) {
+        const parts = [];
+        const strings = [];
+        let start = 0;
+        let index = 0;
+        while (index < source.length) {
+            const next = this.skipToken(source, index);
+            const char = source[index];
+            if (char === '"' || char === "'" || char === '`') {
+                parts.push(source.slice(start, index), `${char}${strings.length}${char}`);
+                strings.push(source.slice(index + 1, next - 1));
+                start = next;
+            }
+            index = next;
+        }
+        parts.push(source.slice(start));
+        return { code: parts.join(''), strings };
+    }
+}
+
+export default SourceScanner;
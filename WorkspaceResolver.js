@@ -0,0 +1,143 @@
+const DEFAULT_DIST_FOLDER = '{dir}/dist';
+
+// Generates component entries from npm/yarn (package.json "workspaces") and pnpm
+// (pnpm-workspace.yaml) workspace definitions.
+class WorkspaceResolver {
+    constructor(fs, path, glob) {
+        this.fs = fs;
+        this.path = path;
+        this.glob = glob;
+    }
+
+    // Returns a copy of config whose components include one entry per workspace package.
+    // Entries already listed in `components` are merged over the generated ones.
+    async expand(config, configDir) {
+        const { workspaces } = config;
+        if (!workspaces) return config;
+
+        const options = workspaces === true ? {} : workspaces;
+        const distFolder = typeof options.distFolder === 'string' ? options.distFolder : DEFAULT_DIST_FOLDER;
+        const ignore = Array.isArray(options.ignore) ? options.ignore : [];
+
+        const root = typeof options.root === 'string'
+            ? this.path.resolve(configDir, options.root)
+            : await this.findWorkspaceRoot(configDir);
+        const patterns = await this.readWorkspacePatterns(root);
+        const packages = await this.findPackages(root, patterns);
+
+        const generated = {};
+        for (const { name, dir } of packages) {
+            if (ignore.includes(name)) continue;
+            const distFolderLocation = distFolder
+                .replace(/\{dir\}/g, dir)
+                .replace(/\{name\}/g, name);
+            generated[name] = { distFolderLocation: this.path.resolve(root, distFolderLocation) };
+        }
+
+        const components = { ...generated };
+        for (const [componentName, componentConfig] of Object.entries(config.components || {})) {
+            components[componentName] = { ...generated[componentName], ...componentConfig };
+        }
+
+        return { ...config, components };
+    }
+
+    async findWorkspaceRoot(startDir) {
+        let directory = this.path.resolve(startDir);
+        while (true) {
+            if (await this.readWorkspacePatterns(directory, false)) {
+                return directory;
+            }
+            const parent = this.path.dirname(directory);
+            if (parent === directory) {
+                throw new Error(`No workspace definition (package.json "workspaces" or pnpm-workspace.yaml) found above ${startDir}`);
+            }
+            directory = parent;
+        }
+    }
+
+    async readWorkspacePatterns(directory, required = true) {
+        const pnpmWorkspace = await this.readFile(this.path.join(directory, 'pnpm-workspace.yaml'));
+        if (pnpmWorkspace !== null) {
+            return this.parsePnpmPackages(pnpmWorkspace);
+        }
+
+        const packageJsonContent = await this.readFile(this.path.join(directory, 'package.json'));
+        if (packageJsonContent !== null) {
+            const { workspaces } = this.parseJson(packageJsonContent, this.path.join(directory, 'package.json'));
+            // Yarn also accepts { packages: [...], nohoist: [...] }
+            const patterns = Array.isArray(workspaces) ? workspaces : workspaces?.packages;
+            if (Array.isArray(patterns)) {
+                return patterns;
+            }
+        }
+
+        if (required) {
+            throw new Error(`No workspace definition (package.json "workspaces" or pnpm-workspace.yaml) found in ${directory}`);
+        }
+        return null;
+    }
+
+    // Reads the top-level `packages` list of pnpm-workspace.yaml; other keys are ignored.
+    parsePnpmPackages(content) {
+        const patterns = [];
+        let inPackages = false;
+
+        for (const rawLine of content.split(/\r?\n/)) {
+            const line = rawLine.replace(/\s+#.*$/, '');
+            if (!line.trim() || line.trim().startsWith('#')) continue;
+
+            if (/^\S/.test(line)) {
+                inPackages = /^packages\s*:\s*$/.test(line);
+                continue;
+            }
+
+            const item = inPackages && line.match(/^\s+-\s+(.+?)\s*$/);
+            if (item) {
+                patterns.push(item[1].replace(/^(['"])(.*)\1$/, '$2'));
+            }
+        }
+
+        return patterns;
+    }
+
+    async findPackages(root, patterns) {
+        const includes = patterns.filter(pattern => !pattern.startsWith('!'));
+        const ignore = patterns
+            .filter(pattern => pattern.startsWith('!'))
+            .map(pattern => `${pattern.slice(1).replace(/\/$/, '')}/package.json`);
+
+        const manifests = await this.glob(
+            includes.map(pattern => `${pattern.replace(/\/$/, '')}/package.json`),
+            { cwd: root, ignore: ['**/node_modules/**', ...ignore] }
+        );
+
+        const packages = [];
+        for (const manifest of manifests.sort()) {
+            const manifestPath = this.path.join(root, manifest);
+            const { name } = this.parseJson(await this.fs.readFile(manifestPath, 'utf8'), manifestPath);
+            if (name) {
+                packages.push({ name, dir: this.path.dirname(manifest).split(this.path.sep).join('/') });
+            }
+        }
+        return packages;
+    }
+
+    parseJson(content, filepath) {
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Could not parse ${filepath}: ${error.message}`);
+        }
+    }
+
+    async readFile(filepath) {
+        try {
+            return await this.fs.readFile(filepath, 'utf8');
+        } catch (err) {
+            return null;
+        }
+    }
+}
+
+export default WorkspaceResolver;
@@ -7,28 +7,92 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import zlib from 'zlib';
 import BundleSizeAnalyser from './BundleSizeAnalyser.js';
+import SizeHistory from './SizeHistory.js';
 
 
 (async () => {
-    const startTime = Date.now();
     const program = new Command();
-    program.option('-c, --config <path>', 'Path to configuration file', 'compsizer.config.json');
-    program.parse(process.argv);
+    const configOption = ['-c, --config <path>', 'Path to configuration file (discovered from the current directory if omitted)'];
 
-    const options = program.opts();
-    const configPath = path.resolve(process.cwd(), options.config);
-
-    try {
+    const analyse = async (options) => {
+        const startTime = Date.now();
         const analyser = new BundleSizeAnalyser(fs, path, glob, zlib, chalk);
-        const config = await analyser.loadConfig(configPath);
-        const success = await analyser.analyseComponents(config);
+        const config = await analyser.loadConfig(options.config);
+        const success = await analyser.analyseComponents(config, {
+            writeRatchet: options.writeRatchet,
+            updateBaseline: options.updateBaseline,
+            force: options.force,
+            pruneBaseline: options.pruneBaseline,
+            baselineRef: options.baselineRef,
+            reportFile: options.reportFile,
+        });
         const endTime = Date.now();
         const duration = (endTime - startTime) / 1000;
 
         console.log(chalk.green.bold(`\ncompsizer analysis took: ${duration.toFixed(2)} seconds\n`));
 
         process.exit(success ? 0 : 1);
+    };
+
+    program
+        .name('compsizer')
+        .enablePositionalOptions()
+        .option(...configOption)
+        .option('--update-baseline', 'Write the baseline file after the run (the default outside CI)')
+        .option('--no-update-baseline', 'Never write the baseline file (the default in CI)')
+        .option('--force', 'Write the baseline even if size thresholds were exceeded')
+        .option('--prune-baseline', 'Write the baseline without the entries of components and groups that are no longer measured')
+        .option('--baseline-ref <ref>', 'Compare against the baseline file committed at a git ref (e.g. "main") instead of the working tree')
+        .option('--report-file <path>', 'Write the measured sizes to a JSON file that `compsizer diff` can compare')
+        .option('--write-ratchet', 'Write tightened budgets proposed by "ratchet" to the configuration file')
+        .action(analyse);
+
+    program
+        .command('update-baseline')
+        .description('Analyse the components and write the results to the baseline file')
+        .option(...configOption)
+        .option('--force', 'Write the baseline even if size thresholds were exceeded')
+        .option('--prune-baseline', 'Remove the entries of components and groups that are no longer measured')
+        .action((options) => analyse({ ...options, updateBaseline: true }));
 
+    program
+        .command('print-config')
+        .description('Print the fully resolved configuration, including anything inherited through "extends"')
+        .option(...configOption)
+        .action(async (options) => {
+            const analyser = new BundleSizeAnalyser(fs, path, glob, zlib, chalk);
+            const config = await analyser.loadConfig(options.config);
+            console.log(JSON.stringify(config, null, 2));
+        });
+
+    program
+        .command('diff <before> <after>')
+        .description('Compare two size reports (--report-file) or baseline files, applying the thresholds of --config if given')
+        .option('-c, --config <path>', 'Configuration whose budgets and increase thresholds are applied to the comparison')
+        .action(async (before, after, options) => {
+            const analyser = new BundleSizeAnalyser(fs, path, glob, zlib, chalk);
+            const config = options.config ? await analyser.loadConfig(options.config) : null;
+            const success = await analyser.diffReports(before, after, config);
+            process.exit(success ? 0 : 1);
+        });
+
+    program
+        .command('history <component>')
+        .description('Print the recorded sizes of a component (or one of its groups, e.g. "modal/index") over time')
+        .option(...configOption)
+        .option('-n, --limit <count>', 'Only show the most recent <count> runs', (value) => parseInt(value, 10))
+        .action(async (component, options) => {
+            const analyser = new BundleSizeAnalyser(fs, path, glob, zlib, chalk);
+            const config = await analyser.loadConfig(options.config);
+            if (!config.historyFile) {
+                throw new Error('No historyFile is configured');
+            }
+            const history = new SizeHistory(fs, path, chalk);
+            await history.print(analyser.resolvePath(config.historyFile), component, { limit: options.limit });
+        });
+
+    try {
+        await program.parseAsync(process.argv);
     } catch (error) {
         console.error(chalk.red('Error:'), error.message);
         process.exit(1);
@@ -0,0 +1,876 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { exec } from 'child_process';
+import util from 'util';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const execPromise = util.promisify(exec);
+const toolPath = path.resolve(__dirname, '../index.js');
+const testEnv = path.join(__dirname, 'testEnv');
+const multiEntryDist = path.join(__dirname, 'fixtures/multi-entry/dist');
+const assetsDist = path.join(__dirname, 'fixtures/assets/dist');
+const sourceMapsDist = path.join(__dirname, 'fixtures/source-maps/dist');
+const importGraphDist = path.join(__dirname, 'fixtures/import-graph/dist');
+const importGraphStringsDist = path.join(__dirname, 'fixtures/import-graph-strings/dist');
+const packageExportsDist = path.join(__dirname, 'fixtures/package-exports/dist');
+const duplicatesFixture = path.join(__dirname, 'fixtures/duplicates');
+
+describe('BundleSizeAnalyser budgets', () => {
+  let workDir;
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'compsizer-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  const run = async (config, args = '', env = process.env) => {
+    const configPath = path.join(workDir, 'compsizer.config.json');
+    await fs.writeFile(configPath, JSON.stringify(config, null, 2));
+    return execPromise(`node ${toolPath} -c ${configPath} ${args}`, { cwd: workDir, env })
+      .then(({ stdout, stderr }) => ({ code: 0, stdout, stderr }))
+      .catch(({ code, stdout, stderr }) => ({ code, stdout, stderr }));
+  };
+
+  it('fails on compressed-size budgets independently of the raw budget', async () => {
+    const { code, stdout } = await run({
+      compression: { gzip: true, brotli: true },
+      components: {
+        testComponent: {
+          maxSize: '96 KB',
+          maxGzipSize: '4 KB',
+          maxBrotliSize: '3 KB',
+          distFolderLocation: testEnv,
+        },
+      },
+    });
+
+    expect(code).toBe(1);
+    expect(stdout).toContain('Within max size limit of 96 KB');
+    expect(stdout).toContain('Exceeded max gzip size of 4 KB by 1.00 KB');
+    expect(stdout).toContain('Within max Brotli size limit of 3 KB');
+
+    const report = JSON.parse(await fs.readFile(path.join(workDir, 'compsizer-failure-report.json'), 'utf8'));
+    expect(report).toEqual([
+      { component: 'testComponent/index', metric: 'gzip', rule: 'maxGzipSize', expectedThreshold: '4 KB', actualSizeKB: '5.00', severity: 'error' },
+    ]);
+  });
+
+  it('compares compressed sizes against the baseline using defaults', async () => {
+    const baselinePath = path.join(workDir, 'baseline.json');
+    await fs.writeFile(baselinePath, JSON.stringify({
+      'testComponent/index.js': { raw: 97536, gzip: 4096, brotli: 2300 },
+    }));
+
+    const { code, stdout } = await run({
+      compression: { gzip: true, brotli: true },
+      baselineFile: baselinePath,
+      components: {
+        testComponent: { distFolderLocation: testEnv },
+      },
+      defaults: { warnOnIncrease: '5%', warnOnGzipIncrease: '10%', warnOnBrotliIncrease: '10%' },
+    });
+
+    expect(code).toBe(1);
+    expect(stdout).toContain('Size increase of 0.00% since last recorded size is within threshold of 5%');
+    expect(stdout).toContain('Gzip size increased by 25.10% since last recorded size, exceeding threshold of 10%');
+    expect(stdout).toContain('Brotli size increase of 0.87% since last recorded size is within threshold of 10%');
+  });
+
+  it('reports the index.js / react.js / other JS breakdown when no groups are configured', async () => {
+    const { stdout } = await run({
+      exclude: ['**/*.d.ts'],
+      compression: { gzip: false, brotli: false },
+      components: {
+        modal: { maxSize: '1 KB', distFolderLocation: multiEntryDist },
+      },
+    });
+
+    const labels = stdout.match(/^Component: .*$/gm);
+    expect(labels).toEqual([
+      'Component: modal/index.js',
+      'Component: modal/index.js + react.js',
+      'Component: modal/index.js + other JS',
+      'Component: modal/index.js + react.js + other JS',
+    ]);
+  });
+
+  it('migrates label-style baseline keys to stable group ids', async () => {
+    const baselinePath = path.join(workDir, 'baseline.json');
+    await fs.writeFile(baselinePath, JSON.stringify({
+      'modal/index.js': 24,
+      'modal/index.js + react.js': 40,
+      'modal/index.js + react.js + other JS': 124,
+    }));
+
+    const { stdout } = await run({
+      exclude: ['**/*.d.ts'],
+      compression: { gzip: false, brotli: false },
+      baselineFile: baselinePath,
+      components: {
+        modal: { distFolderLocation: multiEntryDist },
+      },
+    }, '--update-baseline');
+
+    expect(stdout).toContain('Size increase of 20.00% since last recorded size');
+    expect(stdout).toContain('Size increase of 0.00% since last recorded size');
+    const { entries } = JSON.parse(await fs.readFile(baselinePath, 'utf8'));
+    expect(Object.keys(entries)).toEqual(['modal/index', 'modal/react', 'modal/other', 'modal/all']);
+    expect(entries['modal/react'].raw).toBe(48);
+  });
+
+  it('measures configured groups, each with its own budget', async () => {
+    const { code, stdout } = await run({
+      compression: { gzip: false, brotli: false },
+      groups: {
+        core: { files: ['index.js', 'register.js'], maxSize: '40 B' },
+        vue: { files: ['index.js', 'vue.js'] },
+        angular: { files: ['index.js', 'angular.js'], requires: ['angular.js'] },
+      },
+      components: {
+        modal: { maxSize: '1 KB', distFolderLocation: multiEntryDist },
+      },
+    });
+
+    expect(code).toBe(1);
+    expect(stdout.match(/^Component: .*$/gm)).toEqual([
+      'Component: modal/core',
+      'Component: modal/vue',
+    ]);
+    expect(stdout).toContain('Exceeded max size of 40 B by 0.01 KB');
+    expect(stdout).toContain('Within max size limit of 1 KB');
+  });
+
+  it('measures configured asset types with per-type subtotals and budgets', async () => {
+    const { code, stdout } = await run({
+      include: ['**/*.{js,mjs,css,woff2,svg}'],
+      compression: { gzip: true, brotli: false },
+      groups: {
+        all: { files: ['**/*'] },
+      },
+      components: {
+        modal: {
+          distFolderLocation: assetsDist,
+          assetTypes: {
+            css: { maxSize: '1 KB', maxGzipSize: '1 KB' },
+            font: { maxGzipSize: '0.5 KB' },
+          },
+        },
+      },
+    });
+
+    expect(code).toBe(1);
+    expect(stdout).toContain('Total Size: 2.11 KB');
+    expect(stdout).toContain('  js: 0.07 KB (gzip ');
+    expect(stdout).toContain('  css: 1.39 KB (gzip ');
+    // Already-compressed fonts are counted at their raw size
+    expect(stdout).toContain('  font: 0.59 KB (gzip 0.59 KB)');
+    expect(stdout).toContain('css: Exceeded max size of 1 KB by 0.39 KB');
+    expect(stdout).toContain('css: Within max gzip size limit of 1 KB');
+    expect(stdout).toContain('font: Exceeded max gzip size of 0.5 KB by 0.09 KB');
+  });
+
+  it('supports byte and combined increase thresholds and reports which condition tripped', async () => {
+    const baselinePath = path.join(workDir, 'baseline.json');
+    await fs.writeFile(baselinePath, JSON.stringify({
+      'modal/core': { raw: 40 },
+      'modal/vue': { raw: 40 },
+      'modal/register': { raw: 20 },
+    }));
+
+    const { code, stdout } = await run({
+      compression: { gzip: false, brotli: false },
+      baselineFile: baselinePath,
+      groups: {
+        core: { files: ['index.js', 'register.js'], warnOnIncrease: '10 B' },
+        vue: { files: ['index.js', 'vue.js'], warnOnIncrease: { percent: '5%', bytes: '1 KB', mode: 'both' } },
+        register: { files: ['register.js'], warnOnIncrease: { percent: '50%', bytes: '5 B' } },
+      },
+      components: {
+        modal: { distFolderLocation: multiEntryDist },
+      },
+    });
+
+    expect(code).toBe(1);
+    expect(stdout).toContain('Size increased by 27.50% (0.01 KB) since last recorded size, exceeding threshold of 10 B');
+    expect(stdout).toContain('Size increase of 15.00% (0.01 KB) since last recorded size is within threshold of 5% and 1 KB');
+    expect(stdout).toContain('Size increased by 35.00% (0.01 KB) since last recorded size, exceeding threshold of 5 B');
+
+    const report = JSON.parse(await fs.readFile(path.join(workDir, 'compsizer-failure-report.json'), 'utf8'));
+    expect(report.map(({ component, rule, trippedBy }) => ({ component, rule, trippedBy }))).toEqual([
+      { component: 'modal/core', rule: 'warnOnIncrease', trippedBy: ['bytes'] },
+      { component: 'modal/register', rule: 'warnOnIncrease', trippedBy: ['bytes'] },
+    ]);
+  });
+
+  it('derives the exit code from the highest severity hit', async () => {
+    const baselinePath = path.join(workDir, 'baseline.json');
+    await fs.writeFile(baselinePath, JSON.stringify({ 'modal/core': { raw: 40 } }));
+    const config = {
+      compression: { gzip: false, brotli: false },
+      baselineFile: baselinePath,
+      groups: {
+        core: { files: ['index.js', 'register.js'] },
+      },
+      components: {
+        modal: { warnOnIncrease: '10%', maxSize: '60 B', distFolderLocation: multiEntryDist },
+      },
+      defaults: {
+        severity: { warnOnIncrease: 'warn' },
+      },
+    };
+
+    const warned = await run(config);
+    expect(warned.code).toBe(0);
+    expect(warned.stdout).toContain('Size increased by 27.50% since last recorded size, exceeding threshold of 10%');
+    expect(warned.stderr).toContain('One or more components exceeded size thresholds with severity "warn".');
+    const report = JSON.parse(await fs.readFile(path.join(workDir, 'compsizer-failure-report.json'), 'utf8'));
+    expect(report.map(({ rule, severity }) => ({ rule, severity }))).toEqual([
+      { rule: 'warnOnIncrease', severity: 'warn' },
+    ]);
+
+    config.components.modal.maxSize = '40 B';
+    const failed = await run(config);
+    expect(failed.code).toBe(1);
+    expect(failed.stderr).toContain('One or more components exceeded size thresholds.');
+
+    config.components.modal.severity = { maxSize: 'off' };
+    const disabled = await run(config);
+    expect(disabled.code).toBe(0);
+    expect(disabled.stdout).not.toContain('max size');
+  });
+
+  it('ratchets max size budgets down to the current size plus headroom', async () => {
+    const configPath = path.join(workDir, 'compsizer.config.json');
+    const config = {
+      compression: { gzip: false, brotli: false },
+      ratchet: { headroom: '10%' },
+      components: {
+        modal: {
+          maxSize: '1 KB',
+          distFolderLocation: multiEntryDist,
+          groups: {
+            core: { files: ['index.js', 'register.js'] },
+            vue: { files: ['index.js', 'vue.js'] },
+            all: { files: ['**/*.js'], maxSize: '2 KB' },
+          },
+        },
+      },
+    };
+
+    const proposed = await run(config);
+    expect(proposed.code).toBe(0);
+    expect(proposed.stdout).toContain('  modal.maxSize: 1 KB -> 0.06 KB');
+    expect(proposed.stdout).toContain('  modal.groups.all.maxSize: 2 KB -> 0.14 KB');
+    expect(JSON.parse(await fs.readFile(configPath, 'utf8'))).toEqual(config);
+
+    await execPromise(`node ${toolPath} -c ${configPath} --write-ratchet`, { cwd: workDir });
+    const written = JSON.parse(await fs.readFile(configPath, 'utf8'));
+    expect(written.components.modal.maxSize).toBe('0.06 KB');
+    expect(written.components.modal.groups.all.maxSize).toBe('0.14 KB');
+  });
+
+  it('only writes the baseline when asked to in CI, and never from a failing run unless forced', async () => {
+    const baselinePath = path.join(workDir, 'baseline.json');
+    const config = {
+      compression: { gzip: false, brotli: false },
+      baselineFile: baselinePath,
+      groups: {
+        core: { files: ['index.js', 'register.js'] },
+      },
+      components: {
+        modal: { maxSize: '1 KB', distFolderLocation: multiEntryDist },
+      },
+    };
+    const readBaseline = () => fs.readFile(baselinePath, 'utf8').then(content => JSON.parse(content).entries, () => null);
+    const expected = { 'modal/core': expect.objectContaining({ raw: 51, gzip: 0, brotli: 0 }) };
+    const ciEnv = { ...process.env, CI: '1' };
+    const localEnv = Object.fromEntries(Object.entries(process.env).filter(([name]) => name !== 'CI'));
+
+    await run(config, '', ciEnv);
+    expect(await readBaseline()).toBeNull();
+
+    await run(config, '--no-update-baseline', localEnv);
+    expect(await readBaseline()).toBeNull();
+
+    await run(config, '', localEnv);
+    expect(await readBaseline()).toEqual(expected);
+
+    await fs.rm(baselinePath);
+    const configPath = path.join(workDir, 'compsizer.config.json');
+    await execPromise(`node ${toolPath} update-baseline -c ${configPath}`, { cwd: workDir, env: ciEnv });
+    expect(await readBaseline()).toEqual(expected);
+
+    config.components.modal.maxSize = '40 B';
+    await fs.rm(baselinePath);
+    const refused = await run(config, '--update-baseline');
+    expect(refused.code).toBe(1);
+    expect(refused.stderr).toContain('Baseline not updated because size thresholds were exceeded');
+    expect(await readBaseline()).toBeNull();
+
+    const forced = await run(config, '--update-baseline --force');
+    expect(forced.code).toBe(1);
+    expect(await readBaseline()).toEqual(expected);
+  });
+
+  it('writes a versioned baseline with per-file sizes and hashes', async () => {
+    const baselinePath = path.join(workDir, 'baseline.json');
+    const { code, stdout } = await run({
+      compression: { gzip: true, brotli: true },
+      baselineFile: baselinePath,
+      groups: {
+        vue: { files: ['index.js', 'vue.js'] },
+      },
+      components: {
+        modal: { distFolderLocation: multiEntryDist },
+      },
+    }, '--update-baseline');
+
+    expect(code).toBe(0);
+    expect(stdout).toContain('Baseline updated');
+    const baseline = JSON.parse(await fs.readFile(baselinePath, 'utf8'));
+    expect(baseline).toEqual({
+      version: 2,
+      createdAt: expect.any(String),
+      configHash: expect.stringMatching(/^[0-9a-f]{64}$/),
+      configs: {
+        'compsizer.config.json': { createdAt: baseline.createdAt, configHash: baseline.configHash },
+      },
+      entries: {
+        'modal/vue': {
+          config: 'compsizer.config.json',
+          raw: 46,
+          gzip: expect.any(Number),
+          brotli: expect.any(Number),
+          files: {
+            'index.js': { raw: 24, gzip: expect.any(Number), brotli: expect.any(Number), hash: expect.stringMatching(/^[0-9a-f]{64}$/) },
+            'vue.js': { raw: 22, gzip: expect.any(Number), brotli: expect.any(Number), hash: expect.stringMatching(/^[0-9a-f]{64}$/) },
+          },
+        },
+      },
+    });
+
+    const { stdout: rerun } = await run({
+      compression: { gzip: true, brotli: true },
+      baselineFile: baselinePath,
+      groups: {
+        vue: { files: ['index.js', 'vue.js'], warnOnGzipIncrease: '1%' },
+      },
+      components: {
+        modal: { distFolderLocation: multiEntryDist },
+      },
+    });
+    expect(rerun).toContain('(recorded with a different configuration)');
+    expect(rerun).toContain('Gzip size increase of 0.00% since last recorded size is within threshold of 1%');
+  });
+
+  it('explains an exceeded increase with the files that changed, largest first', async () => {
+    const baselinePath = path.join(workDir, 'baseline.json');
+    await fs.writeFile(baselinePath, JSON.stringify({
+      version: 2,
+      createdAt: '2024-11-01T00:00:00.000Z',
+      entries: {
+        'modal/vue': {
+          raw: 30,
+          files: {
+            'index.js': { raw: 20, hash: 'outdated' },
+            'old.js': { raw: 10, hash: 'removed' },
+          },
+        },
+      },
+    }));
+
+    const { code, stdout } = await run({
+      compression: { gzip: false, brotli: false },
+      baselineFile: baselinePath,
+      groups: {
+        vue: { files: ['index.js', 'vue.js'], warnOnIncrease: '10%' },
+      },
+      components: {
+        modal: { distFolderLocation: multiEntryDist },
+      },
+    });
+
+    expect(code).toBe(1);
+    expect(stdout).toContain([
+      'Changes since baseline:',
+      '  + vue.js +0.02 KB',
+      '  - old.js -0.01 KB',
+      '  ~ index.js +0.00 KB',
+    ].join('\n'));
+
+    const [failure] = JSON.parse(await fs.readFile(path.join(workDir, 'compsizer-failure-report.json'), 'utf8'));
+    expect(failure.fileChanges).toEqual([
+      { file: 'vue.js', status: 'added', raw: 22, gzip: 0, brotli: 0 },
+      { file: 'old.js', status: 'removed', raw: -10, gzip: 0, brotli: 0 },
+      { file: 'index.js', status: 'changed', raw: 4, gzip: 0, brotli: 0 },
+    ]);
+  });
+
+  it('appends each run to the history file and prints it with the history command', async () => {
+    const config = {
+      compression: { gzip: true, brotli: false },
+      historyFile: 'history.jsonl',
+      groups: {
+        index: { files: ['index.js'] },
+        vue: { files: ['index.js', 'vue.js'] },
+      },
+      components: {
+        modal: { distFolderLocation: multiEntryDist },
+      },
+    };
+    await run(config);
+    await run(config);
+
+    const lines = (await fs.readFile(path.join(workDir, 'history.jsonl'), 'utf8')).trim().split('\n');
+    expect(lines).toHaveLength(2);
+    const record = JSON.parse(lines[1]);
+    expect(record).toMatchObject({ commit: null, branch: null });
+    expect(Date.parse(record.timestamp)).not.toBeNaN();
+    expect(record.entries['modal/index']).toMatchObject({ raw: 24, brotli: 0 });
+    expect(record.entries['modal/vue']).toMatchObject({ raw: 46, brotli: 0 });
+
+    const { stdout } = await execPromise(`node ${toolPath} history modal/vue --limit 1`, { cwd: workDir });
+    expect(stdout).toContain('History for modal/vue (1 run)');
+    expect(stdout).not.toContain('modal/index');
+    expect(stdout).toMatch(/Raw\s+▁\s+0\.04 KB → 0\.04 KB/);
+    expect(stdout).not.toContain('Brotli');
+
+    const unknown = await execPromise(`node ${toolPath} history button`, { cwd: workDir }).catch(error => error);
+    expect(unknown.code).toBe(1);
+    expect(unknown.stderr).toContain('No history recorded for component: button');
+  });
+
+  it('reports new, removed and stale baseline entries and prunes them on request', async () => {
+    const baselinePath = path.join(workDir, 'baseline.json');
+    await fs.writeFile(baselinePath, JSON.stringify({
+      version: 2,
+      createdAt: '2024-11-01T00:00:00.000Z',
+      entries: {
+        'modal/index': { raw: 24, files: null },
+        'modal/react': { raw: 48, files: null },
+        'button/index': { raw: 100, files: null },
+      },
+    }));
+    const config = {
+      compression: { gzip: false, brotli: false },
+      baselineFile: baselinePath,
+      groups: {
+        index: { files: ['index.js'] },
+        vue: { files: ['index.js', 'vue.js'] },
+      },
+      components: {
+        modal: { distFolderLocation: multiEntryDist },
+      },
+    };
+    const readEntries = async () => JSON.parse(await fs.readFile(baselinePath, 'utf8')).entries;
+
+    const updated = await run(config, '--update-baseline');
+    expect(updated.code).toBe(0);
+    expect(updated.stdout).toContain([
+      'Baseline changes:',
+      '  New: modal/vue',
+      '  Removed: button (no longer configured; baseline has button/index)',
+      '  Stale: modal/react (not measured this run)',
+    ].join('\n'));
+    expect(updated.stdout).toContain('New since the baseline was recorded; no size to compare against.');
+    expect(Object.keys(await readEntries())).toEqual(['modal/index', 'modal/vue', 'modal/react', 'button/index']);
+
+    const failed = await run({ ...config, failOnRemoved: true });
+    expect(failed.code).toBe(1);
+    const report = JSON.parse(await fs.readFile(path.join(workDir, 'compsizer-failure-report.json'), 'utf8'));
+    expect(report).toEqual([
+      { component: 'button', rule: 'failOnRemoved', baselineEntries: ['button/index'], severity: 'error' },
+    ]);
+
+    const pruned = await run({ ...config, failOnRemoved: true }, '--prune-baseline');
+    expect(pruned.code).toBe(0);
+    expect(pruned.stdout).toContain('(pruned modal/react, button/index)');
+    expect(Object.keys(await readEntries())).toEqual(['modal/index', 'modal/vue']);
+  });
+
+  it('reads the baseline from a git ref with --baseline-ref', async () => {
+    const git = args => execPromise(`git -c user.name=test -c user.email=test@example.com ${args}`, { cwd: workDir });
+    const baselinePath = path.join(workDir, 'baseline.json');
+    const writeBaseline = raw => fs.writeFile(baselinePath, JSON.stringify({
+      version: 2,
+      createdAt: '2024-11-01T00:00:00.000Z',
+      entries: { 'modal/index': { raw, files: null } },
+    }));
+    const config = {
+      compression: { gzip: false, brotli: false },
+      baselineFile: baselinePath,
+      groups: { index: { files: ['index.js'], warnOnIncrease: '10%' } },
+      components: { modal: { distFolderLocation: multiEntryDist } },
+    };
+
+    await git('init -q');
+    await writeBaseline(12);
+    await git('add baseline.json');
+    await git('commit -q -m baseline');
+    await writeBaseline(24);
+
+    const workingTree = await run(config);
+    expect(workingTree.code).toBe(0);
+
+    const committed = await run(config, '--baseline-ref HEAD');
+    expect(committed.code).toBe(1);
+    expect(committed.stdout).toContain('Baseline: from git ref HEAD, recorded 2024-11-01T00:00:00.000Z');
+    expect(committed.stdout).toContain('Size increased by 100.00% since last recorded size');
+
+    const unknownRef = await run(config, '--baseline-ref does-not-exist');
+    expect(unknownRef.code).toBe(1);
+    expect(unknownRef.stderr).toContain('Cannot read the baseline from git ref "does-not-exist": the ref does not exist');
+
+    const missingFile = await run({ ...config, baselineFile: path.join(workDir, 'other.json') }, '--baseline-ref HEAD');
+    expect(missingFile.code).toBe(1);
+    expect(missingFile.stderr).toContain(`Baseline file ${path.join(workDir, 'other.json')} does not exist at git ref "HEAD"`);
+  });
+
+  it('diffs two size reports, applying the thresholds of a configuration', async () => {
+    const config = {
+      compression: { gzip: false, brotli: false },
+      groups: {
+        vue: { files: ['index.js', 'vue.js'], warnOnIncrease: '20%' },
+      },
+      components: {
+        modal: { distFolderLocation: multiEntryDist },
+      },
+    };
+    const { stdout: runOutput } = await run(config, '--report-file after.json');
+    expect(runOutput).toContain(`Size report written: ${path.join(workDir, 'after.json')}`);
+
+    const after = JSON.parse(await fs.readFile(path.join(workDir, 'after.json'), 'utf8'));
+    expect(after.entries['modal/vue']).toMatchObject({ raw: 46, files: { 'vue.js': { raw: 22 } } });
+
+    await fs.writeFile(path.join(workDir, 'before.json'), JSON.stringify({
+      version: 2,
+      entries: {
+        'modal/vue': {
+          raw: 34,
+          files: { 'index.js': after.entries['modal/vue'].files['index.js'], 'vue.js': { raw: 10, hash: 'older' } },
+        },
+        'modal/legacy': { raw: 10, files: null },
+      },
+    }));
+
+    const diff = args => execPromise(`node ${toolPath} diff before.json after.json ${args}`, { cwd: workDir })
+      .then(({ stdout }) => ({ code: 0, stdout }))
+      .catch(({ code, stdout }) => ({ code, stdout }));
+
+    const plain = await diff('');
+    expect(plain.code).toBe(0);
+    expect(plain.stdout).toContain([
+      'Component: modal/vue',
+      'Size: 0.03 KB → 0.04 KB (+0.01 KB, +35.29%)',
+      '  ~ vue.js +0.01 KB',
+    ].join('\n'));
+    expect(plain.stdout).toContain('Only in before.json: 0.01 KB');
+
+    const gated = await diff(`-c ${path.join(workDir, 'compsizer.config.json')}`);
+    expect(gated.code).toBe(1);
+    expect(gated.stdout).toContain('Size: 0.03 KB → 0.04 KB (+0.01 KB, +35.29%), exceeding threshold of 20%');
+  });
+
+  it('applies the budgets of groups that are only in the second report when diffing', async () => {
+    const configPath = path.join(workDir, 'compsizer.config.json');
+    await fs.writeFile(configPath, JSON.stringify({
+      groups: { index: { files: ['index.js'], maxSize: '10 B' } },
+      components: { modal: { distFolderLocation: multiEntryDist } },
+    }));
+    await fs.writeFile(path.join(workDir, 'before.json'), JSON.stringify({ version: 2, entries: {} }));
+    await fs.writeFile(path.join(workDir, 'after.json'), JSON.stringify({ version: 2, entries: { 'modal/index': { raw: 24 } } }));
+
+    const { code, stdout } = await execPromise(`node ${toolPath} diff before.json after.json -c ${configPath}`, { cwd: workDir })
+      .then(({ stdout }) => ({ code: 0, stdout }))
+      .catch(({ code, stdout }) => ({ code, stdout }));
+
+    expect(code).toBe(1);
+    expect(stdout).toContain('Only in after.json: 0.02 KB\nExceeded max size of 10 B by 0.01 KB');
+  });
+
+  it('merges concurrent baseline updates from several configurations into one file', async () => {
+    const baselinePath = path.join(workDir, 'baseline.json');
+    const names = ['alpha', 'beta', 'gamma', 'delta'];
+    const configFor = name => ({
+      compression: { gzip: false, brotli: false },
+      baselineFile: baselinePath,
+      groups: { index: { files: ['index.js'] } },
+      components: { [name]: { distFolderLocation: multiEntryDist } },
+    });
+    await Promise.all(names.map(async name => {
+      await fs.mkdir(path.join(workDir, name));
+      await fs.writeFile(path.join(workDir, name, 'compsizer.config.json'), JSON.stringify(configFor(name)));
+    }));
+
+    // A lock left behind by a crashed run is taken over once it is stale
+    const lockPath = `${baselinePath}.lock`;
+    await fs.writeFile(lockPath, '12345');
+    await fs.utimes(lockPath, new Date(0), new Date(0));
+
+    const results = await Promise.all(names.map(name =>
+      execPromise(`node ${toolPath} --update-baseline`, { cwd: path.join(workDir, name) })
+    ));
+    expect(results).toHaveLength(names.length);
+
+    const { entries } = JSON.parse(await fs.readFile(baselinePath, 'utf8'));
+    expect(Object.keys(entries).sort()).toEqual(['alpha/index', 'beta/index', 'delta/index', 'gamma/index']);
+    expect(entries['beta/index']).toMatchObject({ config: 'beta/compsizer.config.json', raw: 24 });
+    expect((await fs.readdir(workDir)).filter(file => file.startsWith('.') || file.endsWith('.lock'))).toEqual([]);
+
+    // Each configuration compares with its own record, not that of the configuration that wrote last
+    const { configs } = JSON.parse(await fs.readFile(baselinePath, 'utf8'));
+    expect(Object.keys(configs).sort()).toEqual(names.map(name => `${name}/compsizer.config.json`).sort());
+    const { stdout: report } = await execPromise(`node ${toolPath}`, { cwd: path.join(workDir, 'alpha') });
+    expect(report).toContain(`Baseline: recorded ${configs['alpha/compsizer.config.json'].createdAt}\n`);
+    expect(report).not.toContain('(recorded with a different configuration)');
+
+    // Entries of other configurations are neither reported as removed nor pruned
+    const { stdout } = await execPromise(`node ${toolPath} --prune-baseline`, { cwd: path.join(workDir, 'alpha') });
+    expect(stdout).not.toContain('Baseline changes:');
+    expect(Object.keys(JSON.parse(await fs.readFile(baselinePath, 'utf8')).entries)).toHaveLength(4);
+  });
+
+  it('resolves paths relative to the configuration file, or to rootDir', async () => {
+    const packageDir = path.join(workDir, 'packages', 'modal');
+    await fs.mkdir(packageDir, { recursive: true });
+    const configPath = path.join(packageDir, 'compsizer.config.json');
+    await fs.writeFile(configPath, JSON.stringify({
+      compression: { gzip: false, brotli: false },
+      baselineFile: 'baseline.json',
+      groups: { index: { files: ['index.js'], maxSize: '10 B' } },
+      components: { modal: { distFolderLocation: path.relative(packageDir, multiEntryDist) } },
+    }));
+
+    const { code } = await execPromise(`node ${toolPath} -c ${configPath} --update-baseline --force`, { cwd: workDir })
+      .catch(error => error);
+    expect(code).toBe(1);
+    await expect(fs.access(path.join(packageDir, 'baseline.json'))).resolves.toBeUndefined();
+    await expect(fs.access(path.join(packageDir, 'compsizer-failure-report.json'))).resolves.toBeUndefined();
+    await expect(fs.access(path.join(workDir, 'baseline.json'))).rejects.toThrow();
+
+    await fs.writeFile(configPath, JSON.stringify({
+      rootDir: '../..',
+      compression: { gzip: false, brotli: false },
+      baselineFile: 'baseline.json',
+      components: { modal: { distFolderLocation: path.relative(workDir, multiEntryDist) } },
+    }));
+    const { stdout } = await execPromise(`node ${toolPath} --update-baseline`, { cwd: packageDir });
+    expect(stdout).toContain(`Baseline updated: ${path.join(workDir, 'baseline.json')}`);
+  });
+
+  it('evaluates include and exclude patterns in the dist folder, with negation and excludeMode', async () => {
+    const { code } = await run({
+      compression: { gzip: false, brotli: false },
+      include: ['**/*', '!react.js'],
+      exclude: ['**/*.d.ts', 'poly*.js'],
+      groups: { all: { files: ['**/*'] } },
+      components: {
+        merged: { distFolderLocation: multiEntryDist, excludeMode: 'merge', exclude: ['register.js', '!polyfill.js'] },
+        replaced: { distFolderLocation: multiEntryDist, exclude: ['register.js'] },
+        shared: { distFolderLocation: multiEntryDist },
+      },
+    }, '--report-file sizes.json');
+    expect(code).toBe(0);
+
+    const { entries } = JSON.parse(await fs.readFile(path.join(workDir, 'sizes.json'), 'utf8'));
+    expect(Object.keys(entries['merged/all'].files)).toEqual(['index.js', 'polyfill.js', 'vue.js']);
+    expect(Object.keys(entries['replaced/all'].files)).toEqual(['index.d.ts', 'index.js', 'polyfill.js', 'vue.js']);
+    expect(Object.keys(entries['shared/all'].files)).toEqual(['index.js', 'register.js', 'vue.js']);
+  });
+
+  it('attributes bytes to original sources and packages using source maps', async () => {
+    const { code, stdout } = await run({
+      compression: { gzip: true, brotli: false },
+      sourceMaps: { top: 4 },
+      groups: { all: { files: ['**/*'] } },
+      components: {
+        modal: { distFolderLocation: sourceMapsDist },
+      },
+    }, '--report-file sizes.json');
+
+    expect(code).toBe(0);
+    expect(stdout).toContain('Top contributors:\n  (unmapped) 0.19 KB (78.5%, gzip ~');
+    expect(stdout).toContain('  src/inline.js 0.02 KB (7.3%');
+    expect(stdout).toContain('  ...and 2 more');
+
+    const { entries } = JSON.parse(await fs.readFile(path.join(workDir, 'sizes.json'), 'utf8'));
+    const { contributors } = entries['modal/all'];
+    expect(contributors.map(({ name, type, raw }) => ({ name, type, raw }))).toEqual([
+      { name: '(unmapped)', type: 'unmapped', raw: 194 },
+      { name: 'src/inline.js', type: 'source', raw: 18 },
+      { name: '@acme/ui', type: 'package', raw: 9 },
+      { name: 'lodash', type: 'package', raw: 9 },
+      { name: 'plain.js', type: 'file', raw: 9 },
+      { name: 'src/modal.js', type: 'source', raw: 8 },
+    ]);
+    expect(contributors.every(contributor => contributor.gzip > 0 && contributor.brotli === 0)).toBe(true);
+  });
+
+  it('measures only the files reachable from the entry points, reporting lazy and orphaned files', async () => {
+    const { code, stdout } = await run({
+      compression: { gzip: false, brotli: false },
+      entryPoints: ['index.js'],
+      groups: {
+        index: { files: ['index.js'] },
+        all: { files: ['**/*'] },
+      },
+      components: {
+        modal: { distFolderLocation: importGraphDist },
+      },
+    }, '--report-file sizes.json');
+
+    expect(code).toBe(0);
+    expect(stdout).toContain([
+      'Lazy (dynamic import): 0.08 KB',
+      '  lazy.js 0.07 KB',
+      '  lazy-dep.js 0.02 KB',
+    ].join('\n'));
+    expect(stdout).toContain('Orphaned files (not imported from any entry point, so not measured):\n  modal: orphan.js');
+
+    const report = JSON.parse(await fs.readFile(path.join(workDir, 'sizes.json'), 'utf8'));
+    for (const key of ['modal/index', 'modal/all']) {
+      expect(report.entries[key].raw).toBe(177);
+      expect(Object.keys(report.entries[key].files).sort()).toEqual(['chunks/utils.js', 'index.js', 'shared.js']);
+      expect(report.entries[key].lazy).toMatchObject({ raw: 87, files: { 'lazy.js': { raw: 67 }, 'lazy-dep.js': { raw: 20 } } });
+    }
+    expect(report.orphans).toEqual({ modal: ['orphan.js'] });
+  });
+
+  it('ignores comment markers inside strings and imports inside comments when following imports', async () => {
+    const { code } = await run({
+      compression: { gzip: false, brotli: false },
+      entryPoints: ['index.js'],
+      groups: { index: { files: ['index.js'] } },
+      components: {
+        modal: { distFolderLocation: importGraphStringsDist },
+      },
+    }, '--report-file sizes.json');
+
+    expect(code).toBe(0);
+    const report = JSON.parse(await fs.readFile(path.join(workDir, 'sizes.json'), 'utf8'));
+    expect(Object.keys(report.entries['modal/index'].files).sort()).toEqual(['dep.js', 'index.js']);
+    expect(Object.keys(report.entries['modal/index'].lazy.files)).toEqual(['lazy.js']);
+    expect(report.orphans).toEqual({ modal: ['commented.js', 'example.js'] });
+  });
+
+  it('measures each export of the package.json exports map as its own group', async () => {
+    const { code, stdout } = await run({
+      compression: { gzip: false, brotli: false },
+      components: {
+        modal: {
+          distFolderLocation: packageExportsDist,
+          exports: { budgets: { '.': { maxSize: '80 B' }, './icons/*': { maxSize: '1 KB' }, './icons/open': { maxSize: '10 B' } } },
+        },
+        node: {
+          distFolderLocation: packageExportsDist,
+          exports: {
+            conditions: ['node'],
+            packageJson: path.join(packageExportsDist, '../package.json'),
+          },
+        },
+      },
+    }, '--report-file sizes.json');
+
+    expect(code).toBe(1);
+    expect(stdout).toContain('modal/exports["./react"]');
+    expect(stdout).toContain('Exceeded max size of 80 B by 0.01 KB');
+    expect(stdout).toContain('modal/exports["./icons/close"]\nTotal Size: 0.02 KB\nWithin max size limit of 1 KB');
+    expect(stdout).toContain('modal/exports["./icons/open"]\nTotal Size: 0.02 KB\nExceeded max size of 10 B by 0.01 KB');
+
+    const report = JSON.parse(await fs.readFile(path.join(workDir, 'sizes.json'), 'utf8'));
+    expect(Object.keys(report.entries).sort()).toEqual([
+      'modal/icons-close', 'modal/icons-open', 'modal/index', 'modal/react',
+      'node/icons-close', 'node/icons-open', 'node/index', 'node/react',
+    ]);
+    expect(Object.keys(report.entries['modal/index'].files).sort()).toEqual(['index.js', 'shared.js']);
+    expect(Object.keys(report.entries['modal/react'].files)).toEqual(['react.browser.js']);
+    expect(Object.keys(report.entries['node/react'].files)).toEqual(['react.js']);
+    expect(report.orphans).toEqual({
+      modal: ['icons/internal/secret.js', 'react.js'],
+      node: ['icons/internal/secret.js', 'react.browser.js'],
+    });
+  });
+
+  it('measures an alias of an export once and rejects exports whose group ids collide', async () => {
+    const packageDir = path.join(workDir, 'package');
+    const writeDist = async file => {
+      await fs.mkdir(path.dirname(path.join(packageDir, 'dist', file)), { recursive: true });
+      await fs.writeFile(path.join(packageDir, 'dist', file), `export default '${file}';\n`);
+    };
+    await writeDist('index.js');
+    await writeDist('a-b.js');
+    const writeExports = exports => fs.writeFile(path.join(packageDir, 'package.json'), JSON.stringify({ exports }));
+    const config = {
+      compression: { gzip: false, brotli: false },
+      components: { pkg: { distFolderLocation: './package/dist', exports: true } },
+    };
+
+    await writeExports({ '.': './dist/index.js', './*': './dist/*.js' });
+    const aliased = await run(config, '--report-file sizes.json');
+    expect(aliased.code).toBe(0);
+    expect(aliased.stdout).toContain('pkg/exports["."]');
+    expect(aliased.stdout).not.toContain('pkg/exports["./index"]');
+    const { entries } = JSON.parse(await fs.readFile(path.join(workDir, 'sizes.json'), 'utf8'));
+    expect(Object.keys(entries).sort()).toEqual(['pkg/a-b', 'pkg/index']);
+
+    await writeDist('a/b.js');
+    await writeExports({ '.': './dist/index.js', './a/b': './dist/a/b.js', './a-b': './dist/a-b.js' });
+    const collided = await run(config);
+    expect(collided.code).toBe(1);
+    expect(collided.stderr).toContain(`Exports "./a/b" and "./a-b" in ${path.join(packageDir, 'package.json')} both map to group id "a-b" for component: pkg`);
+  });
+
+  it('reports code duplicated across components and the saving from sharing it', async () => {
+    const { code, stdout } = await run({
+      compression: { gzip: false, brotli: false },
+      duplicates: { functions: true },
+      groups: { all: { files: ['**/*'] } },
+      components: {
+        modal: { distFolderLocation: path.join(duplicatesFixture, 'modal') },
+        dialog: { distFolderLocation: path.join(duplicatesFixture, 'modal'), include: ['polyfill.js'] },
+        tooltip: { distFolderLocation: path.join(duplicatesFixture, 'tooltip') },
+      },
+    }, '--report-file sizes.json');
+
+    expect(code).toBe(0);
+    expect(stdout).toContain([
+      'Duplicated across components:',
+      '  polyfill.js 0.34 KB in 2 copies (modal, dialog: polyfill.js; tooltip: vendor/polyfill.js)',
+      '  function debounce 0.26 KB in 2 copies (modal: index.js; tooltip: index.js)',
+      'Duplicated: 0.60 KB. Extracting it to shared chunks could save 0.33 KB.',
+    ].join('\n'));
+
+    const { duplicates } = JSON.parse(await fs.readFile(path.join(workDir, 'sizes.json'), 'utf8'));
+    expect(duplicates.duplicatedBytes).toBe(617);
+    expect(duplicates.savingBytes).toBe(335);
+    expect(duplicates.duplicates[1]).toEqual({
+      type: 'function',
+      name: 'debounce',
+      bytes: 269,
+      saving: 161,
+      copies: [
+        { file: 'index.js', components: ['modal'], bytes: 161 },
+        { file: 'index.js', components: ['tooltip'], bytes: 108 },
+      ],
+    });
+  });
+
+  it('rejects compressed size budgets when that compression is not enabled', async () => {
+    const { code, stderr } = await run({
+      compression: { gzip: true },
+      defaults: { warnOnBrotliIncrease: '5%' },
+      components: {
+        modal: { distFolderLocation: multiEntryDist, maxGzipSize: '1 B', groups: { index: { files: ['index.js'], maxBrotliSize: '1 B' } } },
+      },
+    });
+
+    expect(code).toBe(1);
+    expect(stderr).toContain('/defaults/warnOnBrotliIncrease: requires compression.brotli to be enabled');
+    expect(stderr).toContain('/components/modal/groups/index/maxBrotliSize: requires compression.brotli to be enabled');
+    expect(stderr).not.toContain('maxGzipSize');
+  });
+});
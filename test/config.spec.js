@@ -0,0 +1,211 @@
+import { describe, it, expect } from 'vitest';
+import { exec } from 'child_process';
+import util from 'util';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { glob } from 'glob';
+import zlib from 'zlib';
+import chalk from 'chalk';
+import BundleSizeAnalyser from '../BundleSizeAnalyser.js';
+import ConfigResolver from '../ConfigResolver.js';
+import ConfigValidator from '../ConfigValidator.js';
+
+const execPromise = util.promisify(exec);
+
+describe('ConfigValidator', () => {
+  it('accepts a valid configuration', () => {
+    const validator = new ConfigValidator();
+    const errors = validator.validate({
+      exclude: ['**/*.d.ts'],
+      compression: { gzip: true, brotli: false },
+      baselineFile: 'component-bundle-sizes.json',
+      components: {
+        modal: { maxSize: '50 KB', warnOnIncrease: '10%', distFolderLocation: './dist' },
+      },
+      defaults: { warnOnIncrease: '5%' },
+    });
+
+    expect(errors).toEqual([]);
+  });
+
+  it('reports every problem with JSON pointer paths', () => {
+    const validator = new ConfigValidator();
+    const errors = validator.validate({
+      components: {
+        modal: { maxsize: '50 KB', warnOnIncrease: 10, distFolderLocation: './dist' },
+        'ui/button': { maxSize: '50 KBs' },
+      },
+      defualts: {},
+    });
+
+    expect(errors).toEqual([
+      { path: '/components/modal/maxsize', message: 'unknown property "maxsize". Did you mean "maxSize"?' },
+      { path: '/components/modal/warnOnIncrease', message: 'must be a percentage such as "5%", a size such as "2 KB", or an object with "percent" and/or "bytes" (got 10)' },
+      { path: '/components/ui~1button/maxSize', message: 'must be a size such as "50 KB", "500 B" or "1.5 MB" (got "50 KBs")' },
+      { path: '/components/ui~1button/distFolderLocation', message: 'is required' },
+      { path: '/defualts', message: 'unknown property "defualts". Did you mean "defaults"?' },
+    ]);
+  });
+
+  it('suggests keys inside object-form thresholds', () => {
+    const validator = new ConfigValidator();
+    const errors = validator.validate({
+      components: {
+        modal: { warnOnIncrease: { percnt: '5%', bytes: '1 KB', mode: 'all' }, distFolderLocation: './dist' },
+      },
+    });
+
+    expect(errors).toEqual([
+      { path: '/components/modal/warnOnIncrease/percnt', message: 'unknown property "percnt". Did you mean "percent"?' },
+      { path: '/components/modal/warnOnIncrease/mode', message: 'must be one of "either", "both" (got "all")' },
+    ]);
+  });
+
+  it('rejects group ids containing "/"', () => {
+    const validator = new ConfigValidator();
+    const errors = validator.validate({
+      groups: { 'react/dom': { files: ['react.js'] } },
+      components: {
+        modal: { distFolderLocation: './dist', groups: { index: { files: ['index.js'] } } },
+      },
+    });
+
+    expect(errors).toEqual([
+      { path: '/groups/react~1dom', message: 'group ids must not contain "/" (got "react/dom")' },
+    ]);
+  });
+
+  it('fails the CLI before reading any component files', async () => {
+    const toolPath = path.resolve(__dirname, '../index.js');
+    const configPath = path.join(__dirname, 'fixtures/invalid.config.json');
+
+    const error = await execPromise(`node ${toolPath} -c ${configPath}`).catch(err => err);
+
+    expect(error.code).toBe(1);
+    expect(error.stderr).toContain('Invalid configuration');
+    expect(error.stderr).toContain('/components/modal/maxsize: unknown property "maxsize". Did you mean "maxSize"?');
+    expect(error.stderr).toContain('/components/button/maxSize');
+    expect(error.stderr).not.toContain('Dist folder not found');
+  });
+});
+
+describe('ConfigResolver', () => {
+  const fixtures = path.join(__dirname, 'fixtures/discovery');
+  const resolver = new ConfigResolver(fs, path);
+
+  it('discovers a config module by walking up from the cwd and awaits exported functions', async () => {
+    const { config, filepath } = await resolver.resolve(undefined, path.join(fixtures, 'esm/packages/modal'));
+
+    expect(filepath).toBe(path.join(fixtures, 'esm/compsizer.config.mjs'));
+    expect(config.components.modal.maxSize).toBe('50 KB');
+  });
+
+  it('reads the "compsizer" key from package.json', async () => {
+    const { config, filepath } = await resolver.resolve(undefined, path.join(fixtures, 'package-json'));
+
+    expect(filepath).toBe(path.join(fixtures, 'package-json/package.json'));
+    expect(config.components.button.maxSize).toBe('10 KB');
+  });
+
+  it('loads an explicit CommonJS config relative to the cwd', async () => {
+    const { config, filepath } = await resolver.resolve('compsizer.config.cjs', path.join(fixtures, 'cjs'));
+
+    expect(filepath).toBe(path.join(fixtures, 'cjs/compsizer.config.cjs'));
+    expect(config.components.card.distFolderLocation).toBe('./dist');
+  });
+
+  it('merges presets named in "extends" underneath the extending config', async () => {
+    const extendsFixtures = path.join(__dirname, 'fixtures/extends');
+    const { config, sources } = await resolver.resolve(path.join(extendsFixtures, 'packages/modal/compsizer.config.json'));
+
+    expect(sources).toEqual([
+      path.join(extendsFixtures, 'base.json'),
+      path.join(extendsFixtures, 'strict.json'),
+      path.join(extendsFixtures, 'packages/modal/compsizer.config.json'),
+    ]);
+    expect(config).toEqual({
+      exclude: ['**/*.d.ts', '**/*.map', '**/*.test.js'],
+      compression: { gzip: true, brotli: false },
+      defaults: { warnOnIncrease: '10%' },
+      components: {
+        modal: { maxSize: '50 KB', distFolderLocation: './dist' },
+      },
+    });
+  });
+
+  it('rejects circular "extends" chains', async () => {
+    const cyclePath = path.join(__dirname, 'fixtures/extends/cycle-a.json');
+
+    await expect(resolver.resolve(cyclePath)).rejects.toThrow('Circular "extends"');
+  });
+});
+
+describe('workspaces', () => {
+  const fixtures = path.join(__dirname, 'fixtures/workspaces');
+
+  it('generates components from package.json workspaces with overrides and ignores', async () => {
+    const analyser = new BundleSizeAnalyser(fs, path, glob, zlib, chalk);
+    const config = await analyser.loadConfig(path.join(fixtures, 'npm/compsizer.config.json'));
+
+    expect(config.components).toEqual({
+      '@acme/button': { distFolderLocation: path.join(fixtures, 'npm/packages/button/lib') },
+      '@acme/modal': { distFolderLocation: path.join(fixtures, 'npm/packages/modal/lib'), maxSize: '50 KB' },
+    });
+  });
+
+  it('reads the packages list from pnpm-workspace.yaml, honouring negated patterns', async () => {
+    const analyser = new BundleSizeAnalyser(fs, path, glob, zlib, chalk);
+    const config = await analyser.loadConfig(path.join(fixtures, 'pnpm/compsizer.config.json'));
+
+    expect(config.components).toEqual({
+      card: { distFolderLocation: path.join(fixtures, 'pnpm/packages/card/dist') },
+    });
+  });
+
+  it('hashes workspace configurations the same wherever they are checked out', async () => {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'compsizer-'));
+    try {
+      await fs.cp(path.join(fixtures, 'npm'), workDir, { recursive: true });
+      const analyser = new BundleSizeAnalyser(fs, path, glob, zlib, chalk);
+      const original = analyser.hashConfig(await analyser.loadConfig(path.join(fixtures, 'npm/compsizer.config.json')));
+      const copy = analyser.hashConfig(await analyser.loadConfig(path.join(workDir, 'compsizer.config.json')));
+
+      expect(copy).toBe(original);
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  });
+
+  it('validates the workspaces option before reading any package.json', async () => {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'compsizer-'));
+    const configPath = path.join(workDir, 'compsizer.config.json');
+    await fs.writeFile(configPath, JSON.stringify({ workspaces: 'yes' }));
+    await fs.mkdir(path.join(workDir, 'packages/broken'), { recursive: true });
+    await fs.writeFile(path.join(workDir, 'package.json'), JSON.stringify({ workspaces: ['packages/*'] }));
+    await fs.writeFile(path.join(workDir, 'packages/broken/package.json'), '{ "name": ');
+
+    try {
+      const analyser = new BundleSizeAnalyser(fs, path, glob, zlib, chalk);
+      await expect(analyser.loadConfig(configPath)).rejects.toThrow('/workspaces: must be boolean (got "yes")');
+
+      await fs.writeFile(configPath, JSON.stringify({ workspaces: true }));
+      await expect(analyser.loadConfig(configPath)).rejects.toThrow(
+        `Could not parse ${path.join(workDir, 'packages/broken/package.json')}`
+      );
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('print-config', () => {
+  it('prints the resolved configuration as JSON', async () => {
+    const toolPath = path.resolve(__dirname, '../index.js');
+    const configPath = path.join(__dirname, 'fixtures/extends/packages/modal/compsizer.config.json');
+
+    const { stdout } = await execPromise(`node ${toolPath} print-config -c ${configPath}`);
+
+    expect(JSON.parse(stdout).compression).toEqual({ gzip: true, brotli: false });
+  });
+});
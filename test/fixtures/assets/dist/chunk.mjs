@@ -0,0 +1 @@
+export const chunk = 1;
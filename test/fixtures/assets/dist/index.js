@@ -0,0 +1,2 @@
+import "./styles.css";
+export const index = 1;
@@ -0,0 +1,8 @@
+module.exports = {
+  components: {
+    card: {
+      maxSize: '5 KB',
+      distFolderLocation: './dist',
+    },
+  },
+};
@@ -0,0 +1,8 @@
+export default async () => ({
+  components: {
+    modal: {
+      maxSize: `${20 + 30} KB`,
+      distFolderLocation: './dist',
+    },
+  },
+});
@@ -0,0 +1,12 @@
+import './polyfill.js';
+
+// Delays calls until `wait` ms have passed without another call
+function debounce(fn, wait) {
+    let timer;
+    return (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn(...args), wait);
+    };
+}
+
+export const openModal = debounce(() => document.body.classList.add('modal-open'), 50);
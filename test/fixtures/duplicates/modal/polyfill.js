@@ -0,0 +1,6 @@
+if (!Array.prototype.at) {
+    Array.prototype.at = function at(index) {
+        const i = Math.trunc(index) || 0;
+        return this[i < 0 ? this.length + i : i];
+    };
+}
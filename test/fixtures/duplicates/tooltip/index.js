@@ -0,0 +1,3 @@
+import './vendor/polyfill.js';
+function d(fn,wait){let timer;return(...args)=>{clearTimeout(timer);timer=setTimeout(()=>fn(...args),wait)}}
+export const showTooltip = d(() => document.body.classList.add('tooltip-open'), 100);
@@ -0,0 +1 @@
+export const commented = 1;
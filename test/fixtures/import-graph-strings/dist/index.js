@@ -0,0 +1,6 @@
+const headers = { Accept: 'application/json, */*' };
+const example = "import './example.js'";
+import { dep } from './dep.js';
+/* Loaded on demand */
+export const load = () => import('./lazy.js'); // import('./commented.js')
+export default { headers, example, dep };
@@ -0,0 +1,4 @@
+import { a } from './shared.js';
+export * from "./chunks/utils";
+// import './orphan.js';
+export const load = () => import('./lazy.js');
@@ -0,0 +1 @@
+import{a}from"./shared.js";import"./lazy-dep.js";export default a;
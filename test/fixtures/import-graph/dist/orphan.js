@@ -0,0 +1 @@
+export const o = 4;
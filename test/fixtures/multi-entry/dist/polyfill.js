@@ -0,0 +1 @@
+export const polyfill = 1;
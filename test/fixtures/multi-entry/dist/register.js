@@ -0,0 +1 @@
+export const register = 1;
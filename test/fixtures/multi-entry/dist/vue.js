@@ -0,0 +1 @@
+export const vue = 1;
@@ -0,0 +1 @@
+export const close = 1;
@@ -0,0 +1 @@
+export const open = 1;
@@ -0,0 +1,2 @@
+export const d=4;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjogMywgInNvdXJjZXMiOiBbIi4uL3NyYy9pbmxpbmUuanMiXSwgIm5hbWVzIjogW10sICJtYXBwaW5ncyI6ICJBQUFBIn0=
@@ -0,0 +1 @@
+var e=5;